@@ -0,0 +1,61 @@
+'use strict';
+/**
+ * 在本地调用云函数入口
+ *
+ * 用法：
+ *   node cli.js <type> [--<arg> <value>]...
+ *   node cli.js '<json args>'
+ *
+ * 示例：
+ *   node cli.js manage --action rollback --resource c_cpp --key win32-arm64 --version 19.1.6
+ *   node cli.js manage --action unpin --resource vsix/ms-vscode.cpptools --key win32-x64
+ */
+const { main_handler } = require('./index');
+
+function parseValue(value) {
+  if (value === 'true') {
+    return true;
+  }
+  if (value === 'false') {
+    return false;
+  }
+  return value;
+}
+
+function parseArgv(argv) {
+  if (argv.length === 1 && argv[0].trim().startsWith('{')) {
+    return JSON.parse(argv[0]);
+  }
+  const [type, ...rest] = argv;
+  const args = { type };
+  for (let i = 0; i < rest.length; i++) {
+    const m = rest[i].match(/^--([^=]+)(?:=(.*))?$/);
+    if (!m) {
+      throw new Error(`Unexpected argument: ${rest[i]}`);
+    }
+    const name = m[1];
+    if (m[2] !== undefined) {
+      args[name] = parseValue(m[2]);
+    } else if (i + 1 < rest.length && !rest[i + 1].startsWith('--')) {
+      args[name] = parseValue(rest[++i]);
+    } else {
+      args[name] = true;
+    }
+  }
+  return args;
+}
+
+(async () => {
+  const argv = process.argv.slice(2);
+  if (argv.length === 0) {
+    console.error("用法: node cli.js <type> [--<arg> <value>]... 或 node cli.js '<json args>'");
+    process.exit(1);
+  }
+  try {
+    const result = await main_handler(parseArgv(argv), {});
+    console.log(JSON.stringify(result, null, 2));
+  } catch (err) {
+    console.error('执行失败：', err && err.message ? err.message : err);
+    process.exit(2);
+  }
+})();
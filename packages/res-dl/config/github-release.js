@@ -0,0 +1,61 @@
+/**
+ * GitHub Release 资源镜像配置
+ *
+ * 每个分组会注册为一个同名任务，分组内的每个资源对应索引中的一个 key。
+ * 新增镜像资源时只需在此添加配置项。
+ *
+ * @typedef {Object} GitHubReleaseResource
+ * @property {string} key - 索引 key，同时作为存储目录名
+ * @property {string} repo - GitHub 仓库（格式: "owner/repo"）
+ * @property {RegExp | string} assetPattern - 用于匹配 release asset 文件名的正则
+ * @property {RegExp | string} versionPattern - 用于从 release 名称（或 tag）中解析版本号的正则，第一个捕获组为版本号
+ * @property {boolean} [normalizeArchive] - 是否将资源（7z、zip、tar、tar.gz、tar.xz、tar.zst）规范化为客户端使用的 zip，不支持的格式会报错
+ * @property {boolean} [convert7z] - 已废弃，同 normalizeArchive
+ * @property {import('../utils/repack').RepackRules} [repack] - 规范化时的裁剪和目录调整规则（需要 normalizeArchive），
+ *   glob 匹配压缩包内的完整路径（设置 stripTopLevel 时为去掉顶层目录后的路径），注入文件中可使用 {{key}}、{{version}}、{{fileName}} 占位符
+ * @property {string} platform - 资源对应的平台
+ *
+ * @typedef {Object} GitHubReleaseTaskConfig
+ * @property {string} description - 任务描述
+ * @property {string} basePath - 相对于资源根目录的存储路径
+ * @property {string | null} schedule - 定时触发 cron 表达式
+ * @property {number} [retention] - 每个 key 保留的历史版本数量
+ * @property {number} [concurrency] - 同时处理的资源数量
+ * @property {GitHubReleaseResource[]} resources - 资源列表
+ */
+
+/** 去掉工具链中客户端用不到的文档，不改变目录结构 */
+const TOOLCHAIN_REPACK = {
+  exclude: ['*/share/{doc,info,man}/**'],
+};
+
+/** @type {Record<string, GitHubReleaseTaskConfig>} */
+module.exports = {
+  c_cpp: {
+    description: 'Mirror MinGW-w64 and LLVM-MinGW C/C++ compilers',
+    basePath: 'c_cpp',
+    schedule: '0 0 4 * * * *',
+    retention: 2,
+    concurrency: 2,
+    resources: [
+      {
+        key: 'win32-x64',
+        repo: 'niXman/mingw-builds-binaries',
+        assetPattern: /x86_64.*seh-ucrt/,
+        versionPattern: /(\d+\.\d+\.\d+)/,
+        normalizeArchive: true,
+        repack: TOOLCHAIN_REPACK,
+        platform: 'win32-x64',
+      },
+      {
+        key: 'win32-arm64',
+        repo: 'mstorsjo/llvm-mingw',
+        assetPattern: /ucrt-aarch64/,
+        versionPattern: /LLVM (\d+\.\d+\.\d+)/,
+        normalizeArchive: true,
+        repack: TOOLCHAIN_REPACK,
+        platform: 'win32-arm64',
+      },
+    ],
+  },
+};
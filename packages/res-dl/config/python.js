@@ -0,0 +1,17 @@
+/**
+ * Python 安装包镜像配置
+ *
+ * 每个版本系列的各平台安装包对应索引中的 `<系列>-<平台>` key（如 `3.12-win32-x64`），
+ * 嵌入式包对应 `<系列>-<平台>-embed` key。无系列前缀的 `<平台>` key 跟踪 `defaultSeries`，兼容旧客户端。
+ *
+ * @typedef {Object} PythonConfig
+ * @property {string[]} series - 跟踪的版本系列（如 "3.12"），每个系列镜像其最新的正式版本
+ * @property {string} [defaultSeries] - 无系列前缀的 key 跟踪的系列，默认为 `series` 中最新的系列
+ * @property {boolean} [embeddable] - 是否同时镜像 Windows 嵌入式包（embeddable zip）
+ */
+
+/** @type {PythonConfig} */
+module.exports = {
+  series: ['3.13', '3.12', '3.11'],
+  embeddable: true,
+};
@@ -0,0 +1,99 @@
+/**
+ * VSCode 安装包镜像配置
+ *
+ * 每个变体对应索引中的一个 key，其版本、提交哈希、下载地址和 SHA-256 从 VSCode 更新 API
+ * （`https://update.code.visualstudio.com/api/update/<target>/stable/latest`）获取。
+ * 新增或停用变体只需修改此处的配置。默认只镜像客户端使用的 Windows 用户安装包和 macOS zip，
+ * 其他变体需将 `enabled` 改为 true 后重新部署。
+ *
+ * @typedef {Object} VSCodeVariant
+ * @property {string} key - 索引 key，同时作为存储目录名
+ * @property {string} target - 更新 API 中的平台标识
+ * @property {string} extension - 安装包的文件扩展名
+ * @property {string} description - 变体说明
+ * @property {boolean} [enabled] - 是否镜像该变体，默认 true
+ */
+
+/** @type {VSCodeVariant[]} */
+module.exports = [
+  {
+    key: 'win32-x64',
+    target: 'win32-x64-user',
+    extension: '.exe',
+    description: 'Windows x64 user installer',
+  },
+  {
+    key: 'win32-arm64',
+    target: 'win32-arm64-user',
+    extension: '.exe',
+    description: 'Windows arm64 user installer',
+  },
+  {
+    key: 'darwin-x64',
+    target: 'darwin',
+    extension: '.zip',
+    description: 'macOS x64 zip',
+  },
+  {
+    key: 'darwin-arm64',
+    target: 'darwin-arm64',
+    extension: '.zip',
+    description: 'macOS arm64 zip',
+  },
+  {
+    key: 'win32-x64-system',
+    target: 'win32-x64',
+    extension: '.exe',
+    description: 'Windows x64 system installer',
+    enabled: false,
+  },
+  {
+    key: 'win32-arm64-system',
+    target: 'win32-arm64',
+    extension: '.exe',
+    description: 'Windows arm64 system installer',
+    enabled: false,
+  },
+  {
+    key: 'win32-x64-archive',
+    target: 'win32-x64-archive',
+    extension: '.zip',
+    description: 'Windows x64 portable zip',
+    enabled: false,
+  },
+  {
+    key: 'win32-arm64-archive',
+    target: 'win32-arm64-archive',
+    extension: '.zip',
+    description: 'Windows arm64 portable zip',
+    enabled: false,
+  },
+  {
+    key: 'linux-x64',
+    target: 'linux-x64',
+    extension: '.tar.gz',
+    description: 'Linux x64 tar.gz',
+    enabled: false,
+  },
+  {
+    key: 'linux-arm64',
+    target: 'linux-arm64',
+    extension: '.tar.gz',
+    description: 'Linux arm64 tar.gz',
+    enabled: false,
+  },
+  {
+    key: 'linux-deb-x64',
+    target: 'linux-deb-x64',
+    extension: '.deb',
+    description: 'Linux x64 deb package',
+    enabled: false,
+  },
+  {
+    key: 'linux-deb-arm64',
+    target: 'linux-deb-arm64',
+    extension: '.deb',
+    description: 'Linux arm64 deb package',
+    enabled: false,
+  },
+];
@@ -0,0 +1,31 @@
+/**
+ * VSCode 扩展镜像的默认配置
+ *
+ * 实际使用的配置从存储中的 `algo-bootstrap/config/vsix.json`（格式：`{ "extensions": [...] }`）读取，
+ * 不存在时使用此处的默认列表。修改存储中的配置无需重新部署。
+ *
+ * @typedef {Object} VsixConfigEntry
+ * @property {string} id - 扩展 ID（如 "ms-vscode.cpptools"）
+ * @property {string} [version] - semver 版本范围（如 "^1.22.0"）或固定的完整版本号，默认选择最新版本
+ * @property {boolean} [preRelease] - 是否允许选择预发布版本，默认 false
+ * @property {string[]} [platforms] - 镜像的平台列表，默认为 `COMM_PLATFORMS`（通用扩展始终镜像 universal）
+ * @property {boolean} [enabled] - 是否镜像该扩展，默认 true。禁用时保留已镜像的版本但不再更新
+ * @property {string} [registry] - 首选的扩展源（"marketplace" 或 "open-vsx"），默认 "marketplace"。首选源失败时依次回退到其他扩展源
+ */
+
+/** @type {VsixConfigEntry[]} */
+module.exports = [
+  { id: 'divyanshuagrawal.competitive-programming-helper' },
+  { id: 'editorconfig.editorconfig' },
+  { id: 'formulahendry.code-runner' },
+  { id: 'ms-ceintl.vscode-language-pack-zh-hans' },
+  { id: 'ms-python.debugpy' },
+  { id: 'ms-python.python' },
+  { id: 'ms-python.vscode-pylance' },
+  { id: 'ms-python.vscode-python-envs' },
+  { id: 'ms-vscode.cpptools' },
+  { id: 'qiumingge.cpp-check-lint' },
+  { id: 'streetsidesoftware.code-spell-checker' },
+  { id: 'usernamehw.errorlens' },
+  { id: 'vadimcn.vscode-lldb' },
+];
@@ -0,0 +1,54 @@
+/**
+ * 根据任务注册表生成 serverless.template.yml 中的定时触发器配置
+ *
+ * 用法：
+ *   node scripts/gen-serverless-events.js          # 写入 serverless.template.yml
+ *   node scripts/gen-serverless-events.js --check  # 仅检查是否与注册表一致
+ */
+const fs = require('fs');
+const path = require('path');
+const { listTasks } = require('../tasks');
+
+const TEMPLATE_PATH = path.join(__dirname, '..', 'serverless.template.yml');
+const EVENTS_HEADER = '  events: # 触发器';
+
+function genEvents() {
+  const lines = [EVENTS_HEADER];
+  for (const task of listTasks()) {
+    if (!task.schedule) {
+      continue;
+    }
+    lines.push(
+      '    - timer:',
+      '        parameters:',
+      `          name: timer-${task.name}`,
+      `          cronExpression: '${task.schedule}'`,
+      '          enable: true',
+      `          argument: '{ "type": "${task.name}" }'`,
+    );
+  }
+  return lines.join('\n') + '\n';
+}
+
+function main() {
+  const content = fs.readFileSync(TEMPLATE_PATH, 'utf-8');
+  const index = content.indexOf(EVENTS_HEADER);
+  if (index === -1) {
+    throw new Error(`Cannot find events section in ${TEMPLATE_PATH}`);
+  }
+  const generated = content.slice(0, index) + genEvents();
+  if (process.argv.includes('--check')) {
+    if (generated !== content) {
+      console.error(
+        'serverless.template.yml 中的触发器与任务注册表不一致，请运行 npm run gen:events',
+      );
+      process.exit(1);
+    }
+    console.log('serverless.template.yml 中的触发器与任务注册表一致');
+    return;
+  }
+  fs.writeFileSync(TEMPLATE_PATH, generated);
+  console.log(`已生成 ${TEMPLATE_PATH} 中的触发器配置`);
+}
+
+main();
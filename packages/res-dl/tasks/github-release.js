@@ -0,0 +1,307 @@
+const os = require('os');
+const fs = require('fs-extra');
+const path = require('path');
+const got = require('got');
+const checkDiskSpace = require('check-disk-space').default;
+const { logger } = require('../utils/logger');
+const { RESOURCE_TASK_ARGS, platformsArg, defineTask } = require('../utils/task');
+const { downloadFile } = require('../utils/download');
+const ResourceIndexManager = require('../utils/res-index-mgr');
+const { normalizeArchive, getNormalizedFileName } = require('../utils/7z-to-zip');
+const { getRepackRulesHash } = require('../utils/repack');
+const { parseDigest, verifyFile } = require('../utils/checksum');
+const Scheduler = require('../utils/scheduler');
+const ArtifactPublisher = require('../utils/publisher');
+const { createPlanItem, summarizePlan } = require('../utils/plan');
+
+const RES_BASE_PATH = 'algo-bootstrap/res';
+// 规范化为 zip 时需要同时容纳原始文件、解压后的文件和生成的 zip
+const NORMALIZE_ARCHIVE_SPACE_FACTOR = 8;
+
+/**
+ * 资源是否需要规范化为 zip（兼容旧的 convert7z 配置）
+ * @param {import('../config/github-release').GitHubReleaseResource} resource
+ * @returns {boolean}
+ */
+function shouldNormalizeArchive(resource) {
+  return Boolean(resource.normalizeArchive ?? resource.convert7z);
+}
+
+/**
+ * 从 GitHub API 获取最新版本信息
+ * @param {string} repo - 仓库名称 (格式: "owner/repo")
+ * @returns {Promise<{ tagName: string, name: string, releaseData: any }>}
+ */
+async function getLatestRelease(repo) {
+  logger.info(`Fetching latest release from ${repo}`);
+
+  try {
+    const { body } = await got(`https://api.github.com/repos/${repo}/releases/latest`, {
+      responseType: 'json',
+    });
+
+    const tagName = body.tag_name;
+    const name = body.name;
+    logger.info(`Found latest release of ${repo}: ${tagName} (${name})`);
+
+    return { tagName, name, releaseData: body };
+  } catch (error) {
+    throw new Error(`Failed to get latest release from ${repo}: ${error.message}`);
+  }
+}
+
+/**
+ * 根据资源配置获取下载信息
+ * @param {import('../config/github-release').GitHubReleaseResource} resource - 资源配置
+ * @returns {Promise<{ version: string, downloadUrl: string, fileName: string, size: number, checksum?: import('../utils/checksum').Checksum }>}
+ */
+async function getReleaseAssetDownloadInfo(resource) {
+  const { tagName, name, releaseData } = await getLatestRelease(resource.repo);
+  const versionPattern = new RegExp(resource.versionPattern);
+  const versionMatch = (name || '').match(versionPattern) || (tagName || '').match(versionPattern);
+  const version = versionMatch && versionMatch[1];
+  if (!version) {
+    throw new Error(`Failed to parse version from release name: ${name} (tag ${tagName})`);
+  }
+
+  const assetPattern = new RegExp(resource.assetPattern);
+  const asset = releaseData.assets.find((asset) => assetPattern.test(asset.name));
+
+  if (!asset) {
+    throw new Error(`No asset matching ${assetPattern} found in release ${version}`);
+  }
+
+  return {
+    version,
+    downloadUrl: asset.browser_download_url,
+    fileName: asset.name,
+    size: asset.size,
+    // GitHub 为新上传的 asset 提供 digest（如 "sha256:..."），旧的 asset 可能没有
+    checksum: parseDigest(asset.digest, 'github-release-digest'),
+  };
+}
+
+/**
+ * 下载 release asset
+ * @param {string} url - 下载链接
+ * @param {string} fileName - 文件名
+ * @param {string} saveDir - 保存目录
+ * @returns {Promise<{ filePath: string, fileName: string }>}
+ */
+async function downloadReleaseAsset(url, fileName, saveDir) {
+  const saveDirResolved = path.resolve(saveDir);
+  await fs.ensureDir(saveDirResolved);
+
+  const filePath = path.join(saveDirResolved, fileName);
+
+  try {
+    logger.info(`Downloading release asset: ${url} -> ${filePath}`);
+    await downloadFile(url, filePath);
+    return { filePath, fileName };
+  } catch (error) {
+    throw new Error(`Failed to download release asset: ${error.message}`);
+  }
+}
+
+/**
+ * 根据配置创建 GitHub Release 镜像任务
+ * @param {string} name - 任务名称
+ * @param {import('../config/github-release').GitHubReleaseTaskConfig} config - 任务配置
+ */
+function createGitHubReleaseTask(name, config) {
+  const { description, schedule, retention, resources } = config;
+  const basePath = `${RES_BASE_PATH}/${config.basePath}`;
+  for (const resource of resources) {
+    if (!resource.key || !resource.repo || !resource.assetPattern || !resource.versionPattern) {
+      throw new Error(
+        `Invalid resource config in task ${name}: key, repo, assetPattern and versionPattern are required`,
+      );
+    }
+    if (resource.repack && !shouldNormalizeArchive(resource)) {
+      throw new Error(
+        `Invalid resource config ${resource.key} in task ${name}: repack requires normalizeArchive`,
+      );
+    }
+  }
+
+  const taskPlatforms = [
+    ...new Set(resources.map((resource) => resource.platform).filter(Boolean)),
+  ];
+
+  /**
+   * 下载 release asset，按需转换格式后上传并更新索引
+   */
+  async function processReleaseAsset(
+    rim,
+    artifactPublisher,
+    resource,
+    downloadInfo,
+    { saveDir, force, repackChanged },
+  ) {
+    const { key } = resource;
+    const { version, downloadUrl, fileName: originalFileName, checksum } = downloadInfo;
+    let fileName = originalFileName;
+    let { filePath } = await downloadReleaseAsset(downloadUrl, originalFileName, saveDir);
+    try {
+      let verification = await verifyFile(filePath, checksum);
+      if (shouldNormalizeArchive(resource)) {
+        const zipFilePath = path.join(saveDir, getNormalizedFileName(originalFileName));
+        await normalizeArchive(filePath, zipFilePath, {
+          repack: resource.repack,
+          variables: { key, version, fileName: originalFileName },
+        });
+        if (zipFilePath !== filePath) {
+          await fs.remove(filePath);
+        }
+        fileName = path.basename(zipFilePath);
+        filePath = zipFilePath;
+        // 校验的是转换前的原始文件
+        verification = { ...verification, convertedFrom: originalFileName };
+      }
+
+      await artifactPublisher.publish(rim, key, filePath, {
+        remoteDir: path.join(basePath, key),
+        fileName,
+        version,
+        verification,
+        extra: { repackHash: getRepackRulesHash(resource.repack) },
+        // 新规则产生的 zip 可能与旧版相同，仍需写入新的 repackHash
+        force: force || repackChanged,
+        // 新规则可能裁剪掉大量内容，不与旧版比较大小
+        compareSize: !repackChanged,
+      });
+    } finally {
+      await fs.remove(filePath);
+    }
+  }
+
+  async function runGitHubReleaseTask(args) {
+    const { dryRun = false, force = false, platforms, concurrency = config.concurrency } = args;
+    const targetResources = platforms
+      ? resources.filter((resource) => platforms.includes(resource.platform))
+      : resources;
+    const tmpSaveDir = path.join(os.tmpdir(), `ab-f-${name}`);
+    const plan = [];
+    const successPlatforms = [];
+    const failedPlatforms = [];
+    /** @type {Record<string, string>} */
+    const errors = {};
+    let updates = 0;
+
+    const diskSpace = await checkDiskSpace(tmpSaveDir);
+    logger.info(`Disk space: ${diskSpace.free}/${diskSpace.size} bytes (${diskSpace.diskPath})`);
+
+    try {
+      const rim = new ResourceIndexManager(basePath, { rootPath: RES_BASE_PATH, retention });
+      await rim.load();
+
+      const scheduler = new Scheduler({ concurrency, diskPath: tmpSaveDir });
+      const artifactPublisher = new ArtifactPublisher(RES_BASE_PATH);
+      if (!dryRun) {
+        await artifactPublisher.cleanupStaging();
+      }
+      await Promise.all(
+        targetResources.map(async (resource, index) => {
+          const { key } = resource;
+          try {
+            logger.info(`Processing ${key} from ${resource.repo}`);
+
+            const downloadInfo = await scheduler.run(() => getReleaseAssetDownloadInfo(resource), {
+              name: `${key} release info`,
+            });
+            const { version, size } = downloadInfo;
+            const resItem = rim.get(key);
+            // 裁剪规则变化时即使上游版本相同也需要重新发布
+            const repackChanged =
+              Boolean(resItem) && resItem.repackHash !== getRepackRulesHash(resource.repack);
+
+            if (dryRun) {
+              plan[index] = createPlanItem(rim, key, version, { size }, force || repackChanged);
+              return;
+            }
+
+            if (rim.isPinned(key)) {
+              logger.info(`Skipping ${key}, pinned at version ${resItem.pinned.version}.`);
+            } else if (!force && !repackChanged && resItem && resItem.version === version) {
+              logger.info(`Skipping ${key}, already up-to-date (version ${version}).`);
+            } else {
+              await scheduler.run(
+                () =>
+                  processReleaseAsset(rim, artifactPublisher, resource, downloadInfo, {
+                    saveDir: path.join(tmpSaveDir, key),
+                    force,
+                    repackChanged,
+                  }),
+                {
+                  name: key,
+                  estimatedSize: shouldNormalizeArchive(resource)
+                    ? size * NORMALIZE_ARCHIVE_SPACE_FACTOR
+                    : size,
+                },
+              );
+            }
+
+            successPlatforms.push(key);
+          } catch (error) {
+            logger.error(`Failed to process ${key}:`, error);
+            failedPlatforms.push(key);
+            errors[key] = error.message;
+          }
+        }),
+      );
+
+      if (dryRun) {
+        const planItems = plan.filter(Boolean);
+        logger.info(`Dry run plan: ${JSON.stringify(planItems)}`);
+        return {
+          dryRun,
+          plan: planItems,
+          summary: summarizePlan(planItems),
+          failedPlatforms,
+          errors,
+        };
+      }
+
+      updates += await rim.save();
+    } catch (error) {
+      logger.error(`Failed to run ${name} task:`, error);
+      throw error;
+    }
+
+    logger.info(
+      `${successPlatforms.length} succeeded, ${failedPlatforms.length} failed, ${updates} updated.`,
+    );
+    if (failedPlatforms.length > 0) {
+      logger.warn(
+        `Failed platforms: ${Object.entries(errors)
+          .map(([platform, reason]) => `${platform} (${reason})`)
+          .join(', ')}`,
+      );
+    }
+
+    return {
+      successPlatforms,
+      failedPlatforms,
+      errors,
+      updates,
+    };
+  }
+
+  return defineTask({
+    name,
+    description,
+    schedule,
+    args: {
+      ...RESOURCE_TASK_ARGS,
+      platforms: platformsArg(taskPlatforms),
+    },
+    retention,
+    concurrency: config.concurrency,
+    platforms: taskPlatforms,
+    run: runGitHubReleaseTask,
+  });
+}
+
+module.exports = {
+  createGitHubReleaseTask,
+};
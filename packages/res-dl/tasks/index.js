@@ -0,0 +1,43 @@
+const { createGitHubReleaseTask } = require('./github-release');
+const gitHubReleaseConfig = require('../config/github-release');
+
+/** @type {import('../utils/task').TaskDefinition[]} */
+const tasks = [
+  ...Object.entries(gitHubReleaseConfig).map(([name, config]) =>
+    createGitHubReleaseTask(name, config),
+  ),
+  require('./python'),
+  require('./vscode'),
+  require('./vsix'),
+  require('./manage'),
+];
+
+const taskMap = new Map();
+for (const task of tasks) {
+  if (taskMap.has(task.name)) {
+    throw new Error(`Duplicate task name: ${task.name}`);
+  }
+  taskMap.set(task.name, task);
+}
+
+/**
+ * Get a registered task by name
+ * @param {string} name
+ * @returns {import('../utils/task').TaskDefinition | undefined}
+ */
+function getTask(name) {
+  return taskMap.get(name);
+}
+
+/**
+ * List all registered tasks
+ * @returns {import('../utils/task').TaskDefinition[]}
+ */
+function listTasks() {
+  return [...taskMap.values()];
+}
+
+module.exports = {
+  getTask,
+  listTasks,
+};
@@ -0,0 +1,110 @@
+const { logger } = require('../utils/logger');
+const { defineTask } = require('../utils/task');
+const ResourceIndexManager = require('../utils/res-index-mgr');
+
+const RES_BASE_PATH = 'algo-bootstrap/res';
+const ACTIONS = ['rollback', 'pin', 'unpin'];
+
+/**
+ * 管理已发布的资源：回滚到历史版本、固定或取消固定版本
+ * @param {{ action: string, resource: string, key: string, version?: string, reason?: string, pin?: boolean }} args
+ */
+async function runManageTask(args) {
+  const { action, resource, key, version, reason, pin = true } = args;
+  if (!ACTIONS.includes(action)) {
+    throw new Error(`Invalid action: ${action} (available: ${ACTIONS.join(', ')})`);
+  }
+  if (!resource || !key) {
+    throw new Error('Both resource (e.g. "c_cpp", "vsix/ms-vscode.cpptools") and key are required');
+  }
+  if (resource.split('/').some((part) => !part || part === '.' || part === '..')) {
+    throw new Error(`Invalid resource: ${resource}`);
+  }
+
+  const rim = new ResourceIndexManager(`${RES_BASE_PATH}/${resource}`, {
+    rootPath: RES_BASE_PATH,
+  });
+  await rim.load();
+  if (!rim.get(key)) {
+    throw new Error(`Key ${key} not found in index ${rim.indexPath}`);
+  }
+
+  switch (action) {
+    case 'rollback': {
+      rim.rollback(key, version);
+      if (pin) {
+        rim.pin(key, reason || 'rollback');
+      }
+      break;
+    }
+    case 'pin': {
+      if (version && rim.get(key).version !== version) {
+        throw new Error(
+          `Cannot pin ${key} at version ${version}, current version is ${
+            rim.get(key).version
+          }. Roll back first.`,
+        );
+      }
+      rim.pin(key, reason);
+      break;
+    }
+    case 'unpin': {
+      rim.unpin(key);
+      break;
+    }
+  }
+
+  const updates = await rim.save();
+  const item = rim.get(key);
+  logger.info(
+    `${action} ${resource}/${key} done, current version ${item.version}${
+      item.pinned ? ' (pinned)' : ''
+    }, ${updates} updated.`,
+  );
+
+  return {
+    action,
+    resource,
+    key,
+    item,
+    updates,
+  };
+}
+
+module.exports = defineTask({
+  name: 'manage',
+  description: 'Roll back, pin or unpin published resources',
+  schedule: null,
+  args: {
+    action: {
+      type: 'string',
+      description: 'Action to perform',
+      required: true,
+      enum: ACTIONS,
+    },
+    resource: {
+      type: 'string',
+      description: 'Resource path relative to the resource root, e.g. "c_cpp"',
+      required: true,
+    },
+    key: {
+      type: 'string',
+      description: 'Index key, e.g. "win32-x64"',
+      required: true,
+    },
+    version: {
+      type: 'string',
+      description: 'Target version to roll back to (defaults to the previous one)',
+    },
+    reason: {
+      type: 'string',
+      description: 'Reason for pinning',
+    },
+    pin: {
+      type: 'boolean',
+      description: 'Whether to pin the key after rolling back (defaults to true)',
+    },
+  },
+  platforms: [],
+  run: runManageTask,
+});
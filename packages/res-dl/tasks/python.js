@@ -2,130 +2,308 @@ const os = require('os');
 const fs = require('fs-extra');
 const path = require('path');
 const got = require('got');
+const semver = require('semver');
 const { logger } = require('../utils/logger');
-const { downloadFile } = require('../utils/download');
-const { uploadFileToCOS } = require('../utils/cos');
+const { RESOURCE_TASK_ARGS, platformsArg, defineTask } = require('../utils/task');
+const { downloadFile, getRemoteFileSize } = require('../utils/download');
 const ResourceIndexManager = require('../utils/res-index-mgr');
+const { createPlanItem, isPlanItemActive, summarizePlan } = require('../utils/plan');
+const Scheduler = require('../utils/scheduler');
+const ArtifactPublisher = require('../utils/publisher');
+const { verifyFile } = require('../utils/checksum');
+const pythonConfig = require('../config/python');
 
 const RES_BASE_PATH = 'algo-bootstrap/res';
 const PYTHON_BASE_PATH = `${RES_BASE_PATH}/python`;
+const PYTHON_API_URL = 'https://www.python.org/api/v2/downloads';
 const TARGET_PLATFORMS = ['win32-arm64', 'win32-x64'];
+/** python.org 安装包文件名中的架构 */
+const PLATFORM_ARCHS = {
+  'win32-x64': 'amd64',
+  'win32-arm64': 'arm64',
+};
+const RETENTION = 2;
+const CONCURRENCY = 2;
 
 /**
- * 从 Python 官网获取最新版本信息
- * @returns {Promise<{ version: string, downloadUrls: Record<string, string> }>}
+ * @typedef {Object} PythonReleaseFile
+ * @property {string} name - 文件说明，如 "Windows installer (64-bit)"
+ * @property {string} url - 下载地址
+ * @property {string} [md5_sum]
+ * @property {string} [sha256_sum]
  */
-async function getLatestPythonVersion() {
-  logger.info('Fetching latest Python version from python.org');
+
+/**
+ * @typedef {Object} PythonPackage
+ * @property {string} key - 索引 key
+ * @property {string[]} aliases - 同样指向该安装包的其他索引 key，如默认系列无系列前缀的 key
+ * @property {string} series - 版本系列
+ * @property {string} platform - 平台标识
+ * @property {string} version - 完整版本号
+ * @property {string} fileName - 保存的文件名
+ * @property {PythonReleaseFile | undefined} file - python.org 发布的文件，该版本未提供时为 undefined
+ */
+
+/**
+ * 从 python.org 的下载 API 获取各版本系列最新的正式版本
+ * @param {string[]} seriesList - 版本系列，如 ["3.12", "3.11"]
+ * @returns {Promise<Record<string, { version: string, files: PythonReleaseFile[] }>>} 按系列记录的版本及其文件，未找到的系列不包含在内
+ */
+async function getLatestPythonReleases(seriesList) {
+  logger.info(`Fetching latest Python releases of ${seriesList.join(', ')} from python.org`);
 
   try {
-    const { body } = await got('https://www.python.org/downloads/windows/', {
-      responseType: 'text',
+    const { body: releases } = await got(`${PYTHON_API_URL}/release/`, {
+      searchParams: { is_published: true, pre_release: false },
+      responseType: 'json',
     });
 
-    // 解析最新版本号 - 查找 "Python X.Y.Z" 模式，确保获取完整版本号
-    const versionMatch = body.match(/Python ([\d]+\.[\d]+\.[\d]+)/);
-    if (!versionMatch) {
-      throw new Error('Could not find latest Python version on downloads page');
+    const latest = {};
+    for (const release of releases) {
+      const version = /^Python (\d+\.\d+\.\d+)$/.exec(release.name)?.[1];
+      // 再次排除预发布版本，以防 API 忽略了过滤参数
+      if (!version || release.pre_release || release.is_published === false) {
+        continue;
+      }
+      const series = version.split('.').slice(0, 2).join('.');
+      if (
+        seriesList.includes(series) &&
+        (!latest[series] || semver.gt(version, latest[series].version))
+      ) {
+        latest[series] = { version, resourceUri: release.resource_uri };
+      }
     }
 
-    const version = versionMatch[1];
-    logger.info(`Found latest Python version: ${version}`);
-
-    const downloadUrls = {
-      'win32-x64': `https://www.python.org/ftp/python/${version}/python-${version}-amd64.exe`,
-      'win32-arm64': `https://www.python.org/ftp/python/${version}/python-${version}-arm64.exe`,
-    };
+    const result = {};
+    for (const series of seriesList) {
+      if (!latest[series]) {
+        logger.warn(`No release of Python ${series} found`);
+        continue;
+      }
+      const { version, resourceUri } = latest[series];
+      const releaseId = resourceUri?.match(/\/release\/(\d+)\/?$/)?.[1];
+      if (!releaseId) {
+        throw new Error(`Invalid resource URI of Python ${version}: ${resourceUri}`);
+      }
+      const { body: files } = await got(`${PYTHON_API_URL}/release_file/`, {
+        searchParams: { release: releaseId },
+        responseType: 'json',
+      });
+      logger.info(`Found latest Python ${series} release: ${version}`);
+      result[series] = { version, files };
+    }
+    return result;
+  } catch (error) {
+    throw new Error(`Failed to get latest Python releases: ${error.message}`);
+  }
+}
 
-    logger.info(`Generated download URLs: ${JSON.stringify(downloadUrls)}`);
+/**
+ * 列出需要镜像的安装包
+ * @param {Record<string, { version: string, files: PythonReleaseFile[] }>} releases - 各系列的版本
+ * @param {Object} options
+ * @param {string[]} options.platforms - 平台列表
+ * @param {string} [options.defaultSeries] - 无系列前缀的 key 跟踪的系列
+ * @param {boolean} [options.embeddable] - 是否包含嵌入式包
+ * @returns {PythonPackage[]}
+ */
+function listPythonPackages(releases, { platforms, defaultSeries, embeddable }) {
+  const packages = [];
+  for (const [series, { version, files }] of Object.entries(releases)) {
+    const findFile = (name) => files.find((f) => f.url?.split('/').pop() === name);
+    for (const platform of platforms) {
+      const arch = PLATFORM_ARCHS[platform];
+      packages.push({
+        key: `${series}-${platform}`,
+        // 默认系列的安装包只下载一次，同时发布到无系列前缀的 key
+        aliases: series === defaultSeries ? [platform] : [],
+        series,
+        platform,
+        version,
+        fileName: `python-${version}-${platform}.exe`,
+        file: findFile(`python-${version}-${arch}.exe`),
+      });
+      if (embeddable) {
+        packages.push({
+          key: `${series}-${platform}-embed`,
+          aliases: [],
+          series,
+          platform,
+          version,
+          fileName: `python-${version}-embed-${platform}.zip`,
+          file: findFile(`python-${version}-embed-${arch}.zip`),
+        });
+      }
+    }
+  }
+  return packages;
+}
 
-    return { version, downloadUrls };
-  } catch (error) {
-    throw new Error(`Failed to get latest Python version: ${error.message}`);
+/**
+ * 获取 python.org 发布的文件的校验值，优先使用 SHA-256
+ * @param {PythonReleaseFile} file
+ * @returns {import('../utils/checksum').Checksum | undefined}
+ */
+function getPythonChecksum(file) {
+  if (file.sha256_sum) {
+    return { algorithm: 'sha256', value: file.sha256_sum, source: 'python.org' };
   }
+  if (file.md5_sum) {
+    return { algorithm: 'md5', value: file.md5_sum, source: 'python.org' };
+  }
+  return undefined;
 }
 
 /**
  * 下载 Python 安装包
  * @param {string} url - 下载链接
- * @param {string} platform - 平台标识
- * @param {string} version - Python 版本
+ * @param {string} fileName - 保存的文件名
  * @param {string} saveDir - 保存目录
  * @returns {Promise<{ filePath: string, fileName: string }>}
  */
-async function downloadPythonInstaller(url, platform, version, saveDir) {
+async function downloadPythonPackage(url, fileName, saveDir) {
   const saveDirResolved = path.resolve(saveDir);
   await fs.ensureDir(saveDirResolved);
 
-  const fileName = `python-${version}-${platform}.exe`;
   const filePath = path.join(saveDirResolved, fileName);
 
   try {
-    logger.info(`Downloading Python installer: ${url} -> ${filePath}`);
+    logger.info(`Downloading Python package: ${url} -> ${filePath}`);
     await downloadFile(url, filePath);
     return { filePath, fileName };
   } catch (error) {
-    throw new Error(`Failed to download Python installer for ${platform}: ${error.message}`);
+    throw new Error(`Failed to download Python package ${fileName}: ${error.message}`);
   }
 }
 
 async function runPythonTask(args) {
+  const {
+    dryRun = false,
+    force = false,
+    platforms = TARGET_PLATFORMS,
+    series: seriesList = pythonConfig.series,
+    concurrency = CONCURRENCY,
+  } = args;
   const tmpSaveDir = path.join(os.tmpdir(), 'ab-f-python');
+  const plan = [];
   const successPlatforms = [];
   const failedPlatforms = [];
+  /** @type {Record<string, string>} */
+  const errors = {};
+  /** @type {Record<string, string>} 各系列的版本 */
+  const versions = {};
   let updates = 0;
 
   try {
-    const { version, downloadUrls } = await getLatestPythonVersion();
-    const rim = new ResourceIndexManager(PYTHON_BASE_PATH);
+    const releases = await getLatestPythonReleases(seriesList);
+    seriesList
+      .filter((series) => !releases[series])
+      .forEach((series) => {
+        failedPlatforms.push(series);
+        errors[series] = `No release of Python ${series} found`;
+      });
+    Object.entries(releases).forEach(([series, { version }]) => (versions[series] = version));
+    const defaultSeries =
+      pythonConfig.defaultSeries ||
+      [...pythonConfig.series].sort((a, b) => semver.compare(`${b}.0`, `${a}.0`))[0];
+    const packages = listPythonPackages(releases, {
+      platforms,
+      defaultSeries,
+      embeddable: pythonConfig.embeddable,
+    });
+    const rim = new ResourceIndexManager(PYTHON_BASE_PATH, {
+      rootPath: RES_BASE_PATH,
+      retention: RETENTION,
+    });
     await rim.load();
 
-    for (const platform of TARGET_PLATFORMS) {
-      try {
-        logger.info(`Processing Python for platform: ${platform}`);
+    const scheduler = new Scheduler({ concurrency, diskPath: tmpSaveDir });
+    const artifactPublisher = new ArtifactPublisher(RES_BASE_PATH);
+    if (!dryRun) {
+      await artifactPublisher.cleanupStaging();
+    }
+    await Promise.all(
+      packages.map(async ({ key, aliases, version, fileName, file }, index) => {
+        const keys = [key, ...aliases];
+        try {
+          logger.info(`Processing Python ${keys.join(', ')}`);
 
-        const downloadUrl = downloadUrls[platform];
-        if (!downloadUrl) {
-          logger.warn(`No download URL found for platform: ${platform}`);
-          failedPlatforms.push(platform);
-          continue;
-        }
+          if (!file) {
+            logger.warn(`${fileName} is not provided by Python ${version}, skipping ${key}.`);
+            return;
+          }
+          const downloadUrl = file.url;
 
-        const resItem = rim.get(platform);
-        if (resItem && resItem.version === version) {
-          logger.info(`Skipping Python ${platform}, already up-to-date (version ${version}).`);
-          continue;
-        }
+          if (dryRun) {
+            const planItems = keys.map((k) => createPlanItem(rim, k, version, {}, force));
+            if (planItems.some(isPlanItemActive)) {
+              const size = await getRemoteFileSize(downloadUrl);
+              planItems.filter(isPlanItemActive).forEach((planItem) => (planItem.size = size));
+            }
+            plan[index] = planItems;
+            return;
+          }
 
-        const { filePath, fileName } = await downloadPythonInstaller(
-          downloadUrl,
-          platform,
-          version,
-          tmpSaveDir,
-        );
-
-        const cosDir = path.join(PYTHON_BASE_PATH, platform);
-        const cosFilePath = path.join(cosDir, fileName);
-
-        if (
-          rim.update(
-            platform,
-            ResourceIndexManager.genIndexItemForFile(
-              filePath,
-              path.relative(RES_BASE_PATH, cosFilePath),
-              version,
-            ),
-          )
-        ) {
-          await uploadFileToCOS(filePath, cosFilePath);
+          const updateKeys = keys.filter((k) => {
+            const resItem = rim.get(k);
+            if (rim.isPinned(k)) {
+              logger.info(`Skipping Python ${k}, pinned at version ${resItem.pinned.version}.`);
+              return false;
+            }
+            if (!force && resItem && resItem.version === version) {
+              logger.info(`Skipping Python ${k}, already up-to-date (version ${version}).`);
+              return false;
+            }
+            return true;
+          });
+          if (updateKeys.length === 0) {
+            return;
+          }
+
+          await scheduler.run(
+            async () => {
+              const { filePath } = await downloadPythonPackage(downloadUrl, fileName, tmpSaveDir);
+
+              try {
+                const verification = await verifyFile(filePath, getPythonChecksum(file));
+                // 别名与主 key 共用同一远程目录，相同内容只存一份
+                for (const k of updateKeys) {
+                  await artifactPublisher.publish(rim, k, filePath, {
+                    remoteDir: path.join(PYTHON_BASE_PATH, key),
+                    fileName,
+                    version,
+                    verification,
+                    force,
+                  });
+                }
+              } finally {
+                await fs.remove(filePath);
+              }
+            },
+            { name: key, estimatedSize: await getRemoteFileSize(downloadUrl) },
+          );
+          successPlatforms.push(...updateKeys);
+        } catch (error) {
+          logger.error(`Failed to process Python ${keys.join(', ')}:`, error);
+          for (const k of keys) {
+            failedPlatforms.push(k);
+            errors[k] = error.message;
+          }
         }
+      }),
+    );
 
-        await fs.remove(filePath);
-        successPlatforms.push(platform);
-      } catch (error) {
-        logger.error(`Failed to process Python for platform ${platform}:`, error);
-        failedPlatforms.push(platform);
-      }
+    if (dryRun) {
+      const planItems = plan.flat();
+      logger.info(`Dry run plan: ${JSON.stringify(planItems)}`);
+      return {
+        dryRun,
+        plan: planItems,
+        summary: summarizePlan(planItems),
+        versions,
+        failedPlatforms,
+        errors,
+      };
     }
 
     updates += await rim.save();
@@ -138,14 +316,37 @@ async function runPythonTask(args) {
     `${successPlatforms.length} succeeded, ${failedPlatforms.length} failed, ${updates} updated.`,
   );
   if (failedPlatforms.length > 0) {
-    logger.warn(`Failed platforms: ${failedPlatforms.join(', ')}`);
+    logger.warn(
+      `Failed platforms: ${Object.entries(errors)
+        .map(([platform, reason]) => `${platform} (${reason})`)
+        .join(', ')}`,
+    );
   }
 
   return {
+    versions,
     successPlatforms,
     failedPlatforms,
+    errors,
     updates,
   };
 }
 
-module.exports = runPythonTask;
+module.exports = defineTask({
+  name: 'python',
+  description: 'Mirror Python installers',
+  schedule: '0 0 4 * * * *',
+  args: {
+    ...RESOURCE_TASK_ARGS,
+    platforms: platformsArg(TARGET_PLATFORMS),
+    series: {
+      type: 'string[]',
+      description: 'Only process these Python series (e.g. 3.12)',
+      enum: pythonConfig.series,
+    },
+  },
+  retention: RETENTION,
+  concurrency: CONCURRENCY,
+  platforms: TARGET_PLATFORMS,
+  run: runPythonTask,
+});
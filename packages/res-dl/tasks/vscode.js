@@ -2,77 +2,100 @@ const os = require('os');
 const fs = require('fs-extra');
 const path = require('path');
 const got = require('got');
+const semver = require('semver');
 const { logger } = require('../utils/logger');
-const { downloadFile } = require('../utils/download');
-const { uploadFileToCOS } = require('../utils/cos');
+const { RESOURCE_TASK_ARGS, platformsArg, defineTask } = require('../utils/task');
+const { downloadFile, getRemoteFileSize } = require('../utils/download');
 const ResourceIndexManager = require('../utils/res-index-mgr');
+const { createPlanItem, isPlanItemActive, summarizePlan } = require('../utils/plan');
+const Scheduler = require('../utils/scheduler');
+const ArtifactPublisher = require('../utils/publisher');
+const { verifyFile } = require('../utils/checksum');
+const vscodeVariants = require('../config/vscode');
 
 const RES_BASE_PATH = 'algo-bootstrap/res';
 const VSCODE_BASE_PATH = `${RES_BASE_PATH}/vscode`;
-const TARGET_PLATFORMS = ['win32-arm64', 'win32-x64', 'darwin-arm64', 'darwin-x64'];
+const VARIANTS = vscodeVariants.filter((variant) => variant.enabled !== false);
+const TARGET_PLATFORMS = VARIANTS.map((variant) => variant.key);
+const RETENTION = 2;
+const CONCURRENCY = 2;
 
 /**
- * 从 VSCode 官方 API 获取最新版本信息
- * @returns {Promise<{ version: string, downloadUrls: Record<string, string> }>}
+ * @typedef {Object} VSCodeRelease
+ * @property {string} version - 产品版本，如 "1.95.3"
+ * @property {string} commit - 构建的提交哈希
+ * @property {string} url - 下载地址
+ * @property {import('../utils/checksum').Checksum} [checksum] - 更新 API 返回的 SHA-256
  */
-async function getLatestVSCodeVersion() {
-  logger.info('Fetching latest VSCode version from official API');
 
-  try {
-    // 使用 VSCode 的官方 API 获取最新版本信息
-    const apiEndpoints = {
-      'win32-x64': 'https://update.code.visualstudio.com/api/update/win32-x64-user/stable/latest',
-      'win32-arm64':
-        'https://update.code.visualstudio.com/api/update/win32-arm64-user/stable/latest',
-      'darwin-x64': 'https://update.code.visualstudio.com/api/update/darwin/stable/latest',
-      'darwin-arm64': 'https://update.code.visualstudio.com/api/update/darwin-arm64/stable/latest',
-    };
-
-    const downloadUrls = {};
-    let version = null;
-
-    // 获取所有平台的下载信息
-    for (const [platform, endpoint] of Object.entries(apiEndpoints)) {
+/**
+ * 从 VSCode 官方更新 API 获取各变体的最新版本信息
+ * @param {import('../config/vscode').VSCodeVariant[]} variants
+ * @returns {Promise<{ releases: Record<string, VSCodeRelease>, errors: Record<string, string> }>} 按 key 记录的版本信息和获取失败的原因
+ */
+async function getLatestVSCodeReleases(variants) {
+  logger.info('Fetching latest VSCode versions from official API');
+  const releases = {};
+  const errors = {};
+
+  await Promise.all(
+    variants.map(async ({ key, target }) => {
+      const endpoint = `https://update.code.visualstudio.com/api/update/${target}/stable/latest`;
       try {
         const { body } = await got(endpoint, {
           responseType: 'json',
         });
-
-        if (!version) {
-          version = body.productVersion;
-          logger.info(`Found latest VSCode version: ${version}`);
+        if (!body.productVersion || !body.url) {
+          throw new Error(`Invalid response: ${JSON.stringify(body)}`);
         }
-
-        downloadUrls[platform] = body.url;
-        logger.info(`Found download URL for ${platform}: ${body.url}`);
+        releases[key] = {
+          version: body.productVersion,
+          // 更新 API 的 version 字段为构建的提交哈希
+          commit: body.version,
+          url: body.url,
+          checksum: body.sha256hash
+            ? { algorithm: 'sha256', value: body.sha256hash, source: 'vscode-update-api' }
+            : undefined,
+        };
+        logger.info(
+          `Found VSCode ${body.productVersion} (${body.version}) for ${key}: ${body.url}`,
+        );
       } catch (error) {
-        logger.error(`Failed to get download info for ${platform}: ${error.message}`);
-        throw error;
+        logger.error(`Failed to get download info for ${key}: ${error.message}`);
+        errors[key] = `Failed to get download info: ${error.message}`;
       }
-    }
+    }),
+  );
 
-    logger.info(`Generated download URLs: ${JSON.stringify(downloadUrls)}`);
+  return { releases, errors };
+}
 
-    return { version, downloadUrls };
-  } catch (error) {
-    throw new Error(`Failed to get latest VSCode version: ${error.message}`);
-  }
+/**
+ * 获取各变体中最新的版本，版本落后于它的变体（如 CDN 尚未更新的平台）将被跳过
+ * @param {Record<string, VSCodeRelease>} releases
+ * @returns {string | undefined}
+ */
+function getNewestVersion(releases) {
+  const versions = Object.values(releases)
+    .map((release) => semver.valid(release.version))
+    .filter(Boolean)
+    .sort(semver.rcompare);
+  return versions[0];
 }
 
 /**
  * 下载 VSCode 安装包
  * @param {string} url - 下载链接
- * @param {string} platform - 平台标识
+ * @param {import('../config/vscode').VSCodeVariant} variant - 安装包变体
  * @param {string} version - VSCode 版本
  * @param {string} saveDir - 保存目录
  * @returns {Promise<{ filePath: string, fileName: string }>}
  */
-async function downloadVSCodeInstaller(url, platform, version, saveDir) {
+async function downloadVSCodeInstaller(url, variant, version, saveDir) {
   const saveDirResolved = path.resolve(saveDir);
   await fs.ensureDir(saveDirResolved);
 
-  const extension = platform.startsWith('win32') ? '.exe' : '.zip';
-  const fileName = `VSCode-${version}-${platform}${extension}`;
+  const fileName = `VSCode-${version}-${variant.key}${variant.extension}`;
   const filePath = path.join(saveDirResolved, fileName);
 
   try {
@@ -80,67 +103,134 @@ async function downloadVSCodeInstaller(url, platform, version, saveDir) {
     await downloadFile(url, filePath);
     return { filePath, fileName };
   } catch (error) {
-    throw new Error(`Failed to download VSCode installer for ${platform}: ${error.message}`);
+    throw new Error(`Failed to download VSCode installer for ${variant.key}: ${error.message}`);
   }
 }
 
 async function runVSCodeTask(args) {
+  const {
+    dryRun = false,
+    force = false,
+    platforms = TARGET_PLATFORMS,
+    concurrency = CONCURRENCY,
+  } = args;
   const tmpSaveDir = path.join(os.tmpdir(), 'ab-f-vscode');
+  const plan = [];
   const successPlatforms = [];
   const failedPlatforms = [];
+  /** @type {Record<string, string>} */
+  const errors = {};
+  /** @type {Record<string, string>} 版本落后而跳过的变体及其版本 */
+  const laggingPlatforms = {};
   let updates = 0;
+  let newestVersion;
 
   try {
-    const { version, downloadUrls } = await getLatestVSCodeVersion();
-    const rim = new ResourceIndexManager(VSCODE_BASE_PATH);
+    const { releases, errors: releaseErrors } = await getLatestVSCodeReleases(
+      VARIANTS.filter((variant) => platforms.includes(variant.key)),
+    );
+    newestVersion = getNewestVersion(releases);
+    if (newestVersion) {
+      logger.info(`Found latest VSCode version: ${newestVersion}`);
+    }
+    const rim = new ResourceIndexManager(VSCODE_BASE_PATH, {
+      rootPath: RES_BASE_PATH,
+      retention: RETENTION,
+    });
     await rim.load();
 
-    for (const platform of TARGET_PLATFORMS) {
-      try {
-        logger.info(`Processing VSCode for platform: ${platform}`);
+    const scheduler = new Scheduler({ concurrency, diskPath: tmpSaveDir });
+    const artifactPublisher = new ArtifactPublisher(RES_BASE_PATH);
+    if (!dryRun) {
+      await artifactPublisher.cleanupStaging();
+    }
+    await Promise.all(
+      platforms.map(async (platform, index) => {
+        try {
+          logger.info(`Processing VSCode for platform: ${platform}`);
 
-        const downloadUrl = downloadUrls[platform];
-        if (!downloadUrl) {
-          logger.warn(`No download URL found for platform: ${platform}`);
-          failedPlatforms.push(platform);
-          continue;
-        }
+          const release = releases[platform];
+          if (!release) {
+            failedPlatforms.push(platform);
+            errors[platform] = releaseErrors[platform];
+            return;
+          }
+          const { version, commit, url: downloadUrl, checksum } = release;
+          if (semver.valid(version) && newestVersion && semver.lt(version, newestVersion)) {
+            logger.warn(
+              `Skipping VSCode ${platform}, version ${version} lags behind ${newestVersion}.`,
+            );
+            laggingPlatforms[platform] = version;
+            return;
+          }
 
-        const resItem = rim.get(platform);
-        if (resItem && resItem.version === version) {
-          logger.info(`Skipping VSCode ${platform}, already up-to-date (version ${version}).`);
-          continue;
-        }
+          if (dryRun) {
+            const planItem = createPlanItem(rim, platform, version, { commit }, force);
+            if (isPlanItemActive(planItem)) {
+              planItem.size = await getRemoteFileSize(downloadUrl);
+            }
+            plan[index] = planItem;
+            return;
+          }
 
-        const { filePath, fileName } = await downloadVSCodeInstaller(
-          downloadUrl,
-          platform,
-          version,
-          tmpSaveDir,
-        );
+          const resItem = rim.get(platform);
+          if (rim.isPinned(platform)) {
+            logger.info(
+              `Skipping VSCode ${platform}, pinned at version ${resItem.pinned.version}.`,
+            );
+            return;
+          }
+          if (!force && resItem && resItem.version === version) {
+            logger.info(`Skipping VSCode ${platform}, already up-to-date (version ${version}).`);
+            return;
+          }
+
+          await scheduler.run(
+            async () => {
+              const { filePath, fileName } = await downloadVSCodeInstaller(
+                downloadUrl,
+                VARIANTS.find((variant) => variant.key === platform),
+                version,
+                tmpSaveDir,
+              );
 
-        const cosDir = path.join(VSCODE_BASE_PATH, platform);
-        const cosFilePath = path.join(cosDir, fileName);
-
-        if (
-          rim.update(
-            platform,
-            ResourceIndexManager.genIndexItemForFile(
-              filePath,
-              path.relative(RES_BASE_PATH, cosFilePath),
-              version,
-            ),
-          )
-        ) {
-          await uploadFileToCOS(filePath, cosFilePath);
+              try {
+                const verification = await verifyFile(filePath, checksum);
+                await artifactPublisher.publish(rim, platform, filePath, {
+                  remoteDir: path.join(VSCODE_BASE_PATH, platform),
+                  fileName,
+                  version,
+                  verification,
+                  extra: { commit },
+                  force,
+                });
+              } finally {
+                await fs.remove(filePath);
+              }
+            },
+            { name: platform, estimatedSize: await getRemoteFileSize(downloadUrl) },
+          );
+          successPlatforms.push(platform);
+        } catch (error) {
+          logger.error(`Failed to process VSCode for platform ${platform}:`, error);
+          failedPlatforms.push(platform);
+          errors[platform] = error.message;
         }
+      }),
+    );
 
-        await fs.remove(filePath);
-        successPlatforms.push(platform);
-      } catch (error) {
-        logger.error(`Failed to process VSCode for platform ${platform}:`, error);
-        failedPlatforms.push(platform);
-      }
+    if (dryRun) {
+      const planItems = plan.filter(Boolean);
+      logger.info(`Dry run plan: ${JSON.stringify(planItems)}`);
+      return {
+        dryRun,
+        plan: planItems,
+        summary: summarizePlan(planItems),
+        version: newestVersion,
+        laggingPlatforms,
+        failedPlatforms,
+        errors,
+      };
     }
 
     updates += await rim.save();
@@ -153,14 +243,33 @@ async function runVSCodeTask(args) {
     `${successPlatforms.length} succeeded, ${failedPlatforms.length} failed, ${updates} updated.`,
   );
   if (failedPlatforms.length > 0) {
-    logger.warn(`Failed platforms: ${failedPlatforms.join(', ')}`);
+    logger.warn(
+      `Failed platforms: ${Object.entries(errors)
+        .map(([platform, reason]) => `${platform} (${reason})`)
+        .join(', ')}`,
+    );
   }
 
   return {
+    version: newestVersion,
     successPlatforms,
+    laggingPlatforms,
     failedPlatforms,
+    errors,
     updates,
   };
 }
 
-module.exports = runVSCodeTask;
+module.exports = defineTask({
+  name: 'vscode',
+  description: 'Mirror VSCode installers',
+  schedule: '0 0 2,10,18 * * * *',
+  args: {
+    ...RESOURCE_TASK_ARGS,
+    platforms: platformsArg(TARGET_PLATFORMS),
+  },
+  retention: RETENTION,
+  concurrency: CONCURRENCY,
+  platforms: TARGET_PLATFORMS,
+  run: runVSCodeTask,
+});
@@ -1,49 +1,74 @@
 const os = require('os');
 const fs = require('fs-extra');
 const path = require('path');
-const got = require('got');
+const semver = require('semver');
 const { logger } = require('../utils/logger');
-const { downloadFile } = require('../utils/download');
-const { uploadFileToCOS } = require('../utils/cos');
+const { RESOURCE_TASK_ARGS, platformsArg, defineTask } = require('../utils/task');
+const { downloadFile, getRemoteFileSize } = require('../utils/download');
 const ResourceIndexManager = require('../utils/res-index-mgr');
+const { createPlanItem, isPlanItemActive, summarizePlan } = require('../utils/plan');
+const Scheduler = require('../utils/scheduler');
+const ArtifactPublisher = require('../utils/publisher');
+const { verifyFile } = require('../utils/checksum');
+const { getStorage } = require('../utils/storage');
+const { moment } = require('../utils/datetime');
+const { getRegistry, getRegistryNames } = require('../utils/vsix-registry');
+const {
+  isBuiltinExtension,
+  getInstallOrder,
+  verifyVsix,
+  selectVersion,
+  isEngineCompatible,
+  getVSCodeVersionCap,
+} = require('../utils/vsix');
+const { ArtifactValidationError } = require('../utils/validate');
+const defaultVsixConfig = require('../config/vsix');
 
 const RES_BASE_PATH = 'algo-bootstrap/res';
 const VSIX_BASE_PATH = `${RES_BASE_PATH}/vsix`;
+const VSCODE_BASE_PATH = `${RES_BASE_PATH}/vscode`;
+/** 扩展依赖图索引，客户端据此按顺序安装扩展 */
+const GRAPH_INDEX_PATH = `${VSIX_BASE_PATH}/index.json`;
+const MAX_SAVE_ATTEMPTS = 5;
+/** 存储中的扩展镜像配置 */
+const VSIX_CONFIG_PATH = 'algo-bootstrap/config/vsix.json';
 const COMM_PLATFORMS = ['win32-arm64', 'win32-x64', 'darwin-arm64', 'darwin-x64'];
-const vsixList = [
-  { id: 'divyanshuagrawal.competitive-programming-helper' },
-  { id: 'editorconfig.editorconfig' },
-  { id: 'formulahendry.code-runner' },
-  { id: 'ms-ceintl.vscode-language-pack-zh-hans' },
-  { id: 'ms-python.debugpy' },
-  { id: 'ms-python.python' },
-  { id: 'ms-python.vscode-pylance' },
-  { id: 'ms-python.vscode-python-envs' },
-  { id: 'ms-vscode.cpptools' },
-  { id: 'qiumingge.cpp-check-lint' },
-  { id: 'streetsidesoftware.code-spell-checker' },
-  { id: 'usernamehw.errorlens' },
-  { id: 'vadimcn.vscode-lldb' },
+/** 市场支持的所有目标平台 */
+const VSIX_PLATFORMS = [
+  'alpine-x64',
+  'alpine-arm64',
+  'linux-armhf',
+  'linux-arm64',
+  'linux-x64',
+  ...COMM_PLATFORMS,
 ];
+const DEFAULT_REGISTRY = 'marketplace';
+const RETENTION = 3;
+const CONCURRENCY = 4;
 
 /**
- * 从 VSCode 市场下载指定扩展的 VSIX 文件
+ * 从扩展源下载指定扩展的 VSIX 文件
  * @param {string} extensionId - 扩展ID (如 "ms-vscode.cpptools")
  * @param {"alpine-x64" | "alpine-arm64" | "linux-armhf" | "linux-arm64" | "linux-x64" | "win32-arm64" | "win32-x64" | "darwin-arm64" | "darwin-x64" | "universal"} platform - 平台架构
  * @param {string|undefined} version - 版本号（可选传入完整版本号，如 "1.15.4"）
  * @param {string} saveDir - 保存目录
+ * @param {import('../utils/vsix-registry').VsixRegistry} [registry] - 扩展源，默认为 VSCode 市场
  */
-async function downloadVsix(extensionId, platform, version = undefined, saveDir) {
+async function downloadVsix(
+  extensionId,
+  platform,
+  version = undefined,
+  saveDir,
+  registry = getRegistry(DEFAULT_REGISTRY),
+) {
   const [publisher, extensionName] = extensionId.split('.');
   if (!publisher || !extensionName) {
     throw new Error(`Invalid extension ID format: ${extensionId}`);
   }
 
-  const targetVersion = version || (await getLatestVersionInfo(extensionId)).version;
-  const downloadUrl = `https://marketplace.visualstudio.com/_apis/public/gallery/publishers/${publisher}/vsextensions/${extensionName}/${targetVersion}/vspackage${
-    platform !== 'universal' ? `?targetPlatform=${platform}` : ''
-  }`;
-  // const downloadUrl = `https://${publisher}.gallery.vsassets.io/_apis/public/gallery/publisher/${publisher}/extension/${extensionName}/${targetVersion}/assetbyname/Microsoft.VisualStudio.Services.VSIXPackage`;
+  const targetVersion =
+    version || (await getLatestVersionInfo(extensionId, { registries: [registry] })).version;
+  const downloadUrl = registry.getDownloadUrl(extensionId, platform, targetVersion);
 
   const saveDirResolved = path.resolve(saveDir);
   await fs.ensureDir(saveDirResolved);
@@ -52,151 +77,682 @@ async function downloadVsix(extensionId, platform, version = undefined, saveDir)
 
   try {
     logger.info(
-      `Downloading VSIX ${extensionId}@${targetVersion}-${platform} from: ${downloadUrl}`,
+      `Downloading VSIX ${extensionId}@${targetVersion}-${platform} from ${registry.name}: ${downloadUrl}`,
     );
     await downloadFile(downloadUrl, filePath);
     return { extensionId, publisher, extensionName, version: targetVersion, fileName, filePath };
   } catch (err) {
     throw new Error(
-      `Failed to download VSIX (${extensionId}@${targetVersion}-${platform}): ${err.message}`,
+      `Failed to download VSIX (${extensionId}@${targetVersion}-${platform}) from ${registry.name}: ${err.message}`,
     );
   }
 }
 
+/**
+ * 按顺序从各扩展源下载 VSIX 并获取该源提供的校验值，失败时回退到下一个扩展源
+ * @param {import('../utils/vsix-registry').VsixRegistry[]} registries - 按优先级排列的扩展源
+ * @param {string} extensionId - 扩展ID (如 "ms-vscode.cpptools")
+ * @param {string} platform - 平台架构
+ * @param {string} version - 完整版本号
+ * @param {string} saveDir - 保存目录
+ * @returns {Promise<{ filePath: string, fileName: string, registry: import('../utils/vsix-registry').VsixRegistry, checksum?: import('../utils/checksum').Checksum }>}
+ */
+async function downloadVsixWithFallback(registries, extensionId, platform, version, saveDir) {
+  const failures = [];
+  for (const registry of registries) {
+    try {
+      const { filePath, fileName } = await downloadVsix(
+        extensionId,
+        platform,
+        version,
+        saveDir,
+        registry,
+      );
+      try {
+        const checksum = await registry.getChecksum(extensionId, platform, version);
+        return { filePath, fileName, registry, checksum };
+      } catch (err) {
+        await fs.remove(filePath);
+        throw err;
+      }
+    } catch (err) {
+      logger.warn(err.message);
+      failures.push(err.message);
+    }
+  }
+  throw new Error(failures.join('; '));
+}
+
 /**
  * 获取指定扩展的最新版本信息
+ * 按顺序尝试各扩展源，使用第一个成功解析出版本的源；该源缺少的目标平台会从其他源中查找同一版本
  * @param {string} extensionId - 扩展 ID (如 "ms-vscode.cpptools")
- * @param {Array<string>} [requiredPlatforms] - 可选的目标平台列表
- * @returns {Promise<{ version: string, platforms: Array<string> }>} 最新版本和支持的平台列表
+ * @param {Object} [options]
+ * @param {import('../utils/vsix-registry').VsixRegistry[]} [options.registries] - 按优先级排列的扩展源，默认为 VSCode 市场
+ * @param {Array<string>} [options.platforms] - 目标平台列表
+ * @param {string} [options.vscodeVersion] - VSCode 版本，传入时选择与其兼容的最新版本
+ * @param {string} [options.versionRange] - semver 版本范围或完整版本号，传入时只选择满足的版本
+ * @param {boolean} [options.preRelease] - 是否允许选择预发布版本，默认只选择正式版本
+ * @returns {Promise<{ version: string, platforms: Array<string>, registries: Record<string, string>, engine?: string, extensionDependencies: string[], extensionPack: string[] }>} 最新版本、支持的平台列表、各平台的扩展源、要求的 VSCode 版本范围和依赖的扩展
  */
-async function getLatestVersionInfo(extensionId, requiredPlatforms) {
+async function getLatestVersionInfo(extensionId, options = {}) {
+  const {
+    registries = [getRegistry(DEFAULT_REGISTRY)],
+    platforms: requiredPlatforms,
+    vscodeVersion,
+    versionRange,
+    preRelease = false,
+  } = options;
   logger.info(`Fetching latest version for ${extensionId}`);
-  // @see https://github.com/microsoft/vscode/blob/b43174e1b275850f5b80d170e47c1c04eb780790/src/vs/platform/extensionManagement/node/extensionGalleryService.ts#L94-L103
-  // @see https://github.com/microsoft/vscode/blob/main/src/vs/platform/extensionManagement/common/extensionGalleryManifestService.ts
-  const requestBody = {
-    assetTypes: null,
-    filters: [
-      {
-        criteria: [
-          {
-            filterType: 7,
-            value: extensionId,
-          },
-        ],
-        direction: 2,
-        pageSize: 1,
-        pageNumber: 1,
-        sortBy: 0,
-        sortOrder: 0,
-        pagingToken: null,
-      },
-    ],
-    flags: 2167,
-  };
-
-  try {
-    const { body } = await got.post(
-      'https://marketplace.visualstudio.com/_apis/public/gallery/extensionquery',
-      {
-        headers: {
-          'Content-Type': 'application/json',
-          Accept: 'application/json;api-version=7.2-preview.1;excludeUrls=true',
-        },
-        body: JSON.stringify(requestBody),
-        responseType: 'json',
-      },
-    );
 
-    if (!body.results?.[0]?.extensions?.[0]?.versions) {
-      throw new Error('No version information found in marketplace response');
-    }
-
-    const latestReleaseVersion = body.results[0].extensions[0].versions.find(
-      (v) =>
-        !v.properties.some(
-          (p) => p.key === 'Microsoft.VisualStudio.Code.PreRelease' && p.value === 'true',
-        ),
-    );
-    if (!latestReleaseVersion) {
-      throw new Error('No release version found in marketplace response');
+  const failures = [];
+  const versionsByRegistry = new Map();
+  let latestVersion;
+  for (const registry of registries) {
+    let versions = [];
+    try {
+      versions = await registry.getVersions(extensionId);
+      latestVersion = selectVersion(versions, extensionId, {
+        vscodeVersion,
+        versionRange,
+        preRelease,
+      });
+      break;
+    } catch (err) {
+      logger.warn(`Failed to resolve ${extensionId} from ${registry.name}: ${err.message}`);
+      failures.push(`${registry.name}: ${err.message}`);
+    } finally {
+      versionsByRegistry.set(registry, versions);
     }
+  }
+  if (!latestVersion) {
+    throw new Error(failures.join('; '));
+  }
 
-    const platforms = body.results[0].extensions[0].versions
+  /** @type {Record<string, string>} 各平台的扩展源 */
+  const platformRegistries = {};
+  const addPlatforms = (registry, versions) => {
+    versions
       .filter(
         (v) =>
-          v.version === latestReleaseVersion.version &&
-          (!v.targetPlatform ||
+          v.version === latestVersion.version &&
+          (preRelease || !v.preRelease) &&
+          (v.platform === 'universal' ||
             !requiredPlatforms?.length ||
-            requiredPlatforms.includes(v.targetPlatform)),
+            requiredPlatforms.includes(v.platform)) &&
+          !platformRegistries[v.platform],
       )
-      .map((v) => v.targetPlatform || 'universal');
+      .forEach((v) => (platformRegistries[v.platform] = registry.name));
+  };
+  versionsByRegistry.forEach((versions, registry) => addPlatforms(registry, versions));
+  // 该源缺少的目标平台从其他源中查找同一版本
+  for (const registry of registries) {
+    if (
+      platformRegistries.universal ||
+      !requiredPlatforms?.length ||
+      requiredPlatforms.every((platform) => platformRegistries[platform])
+    ) {
+      break;
+    }
+    if (versionsByRegistry.has(registry)) {
+      continue;
+    }
+    try {
+      addPlatforms(registry, await registry.getVersions(extensionId));
+    } catch (err) {
+      logger.warn(
+        `Failed to fetch platforms of ${extensionId} from ${registry.name}: ${err.message}`,
+      );
+    }
+  }
+
+  return {
+    version: latestVersion.version,
+    platforms: Object.keys(platformRegistries),
+    registries: platformRegistries,
+    engine: latestVersion.engine,
+    extensionDependencies: latestVersion.extensionDependencies,
+    extensionPack: latestVersion.extensionPack,
+  };
+}
+
+/**
+ * 校验并规范化扩展镜像配置项
+ * @param {import('../config/vsix').VsixConfigEntry} entry
+ * @param {number} index - 配置项序号，用于错误信息
+ * @returns {Required<Omit<import('../config/vsix').VsixConfigEntry, 'version'>> & { version?: string }}
+ */
+function normalizeVsixConfigEntry(entry, index) {
+  const fail = (message) => {
+    throw new Error(`Invalid vsix config entry #${index} (${entry?.id}): ${message}`);
+  };
+  if (typeof entry?.id !== 'string' || !/^[\w-]+\.[\w-]+$/.test(entry.id)) {
+    fail('"id" must be in the format "<publisher>.<name>"');
+  }
+  if (
+    entry.version !== undefined &&
+    (typeof entry.version !== 'string' || !semver.validRange(entry.version))
+  ) {
+    fail('"version" must be a semver range or version');
+  }
+  if (entry.registry !== undefined && !getRegistryNames().includes(entry.registry)) {
+    fail(`"registry" must be one of ${getRegistryNames().join(', ')}`);
+  }
+  for (const key of ['preRelease', 'enabled']) {
+    if (entry[key] !== undefined && typeof entry[key] !== 'boolean') {
+      fail(`"${key}" must be a boolean`);
+    }
+  }
+  if (entry.platforms !== undefined) {
+    if (!Array.isArray(entry.platforms) || entry.platforms.length === 0) {
+      fail('"platforms" must be a non-empty array');
+    }
+    const unknownPlatforms = entry.platforms.filter((p) => !VSIX_PLATFORMS.includes(p));
+    if (unknownPlatforms.length > 0) {
+      fail(`unknown platforms ${unknownPlatforms.join(', ')}`);
+    }
+  }
+  return {
+    id: entry.id.toLowerCase(),
+    version: entry.version,
+    preRelease: entry.preRelease ?? false,
+    platforms: entry.platforms ?? COMM_PLATFORMS,
+    enabled: entry.enabled ?? true,
+    registry: entry.registry ?? DEFAULT_REGISTRY,
+  };
+}
+
+/**
+ * 加载扩展镜像配置，存储中没有配置时使用默认配置
+ * @returns {Promise<ReturnType<typeof normalizeVsixConfigEntry>[]>}
+ * @throws {Error} 配置无法读取或格式不正确时
+ */
+async function loadVsixConfig() {
+  let entries = defaultVsixConfig;
+  try {
+    const body = await getStorage().get(VSIX_CONFIG_PATH);
+    entries = JSON.parse(body.toString('utf-8')).extensions;
+    logger.info(`Loaded vsix config from ${VSIX_CONFIG_PATH}`);
+  } catch (err) {
+    if (err.code !== 'NoSuchKey') {
+      throw new Error(`Failed to load vsix config ${VSIX_CONFIG_PATH}: ${err.message}`);
+    }
+    logger.info(`No vsix config found at ${VSIX_CONFIG_PATH}, using the default list.`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`Invalid vsix config ${VSIX_CONFIG_PATH}: "extensions" must be an array`);
+  }
+  const config = entries.map(normalizeVsixConfigEntry);
+  const duplicateIds = config.map(({ id }) => id).filter((id, i, ids) => ids.indexOf(id) !== i);
+  if (duplicateIds.length > 0) {
+    throw new Error(`Duplicate extension ids in vsix config: ${duplicateIds.join(', ')}`);
+  }
+  return config;
+}
+
+/**
+ * 获取当前镜像的 VSCode 版本，作为选择扩展版本的上限
+ * 只考虑客户端使用的平台（`COMM_PLATFORMS`），各平台版本不同时取最低的版本以兼容所有平台；
+ * 已弃用和已固定的索引项不参与计算
+ * @returns {Promise<string | undefined>} 尚未镜像 VSCode 时返回 undefined
+ */
+async function getMirroredVSCodeVersion() {
+  const rim = new ResourceIndexManager(VSCODE_BASE_PATH);
+  const cap = getVSCodeVersionCap(await rim.load(), COMM_PLATFORMS);
+  if (cap) {
+    logger.info(`Mirrored VSCode version ${cap.version} is set by ${cap.key}`);
+  }
+  return cap?.version;
+}
+
+/**
+ * 依赖图中的扩展
+ * @typedef {Object} VsixGraphItem
+ * @property {string} version - 镜像的版本
+ * @property {string[]} extensionDependencies - 依赖的扩展 ID（小写）
+ * @property {string[]} extensionPack - 扩展包中包含的扩展 ID（小写）
+ * @property {boolean} auto - 是否因被其他扩展依赖而自动镜像
+ */
+
+/**
+ * 依赖图索引，客户端据此按顺序安装扩展
+ * @typedef {Object} VsixGraph
+ * @property {Record<string, VsixGraphItem>} extensions - 按扩展 ID 记录的扩展
+ * @property {string[]} installOrder - 安装顺序，依赖和扩展包成员排在需要它们的扩展之前
+ * @property {string} updatedAt
+ */
 
-    return { version: latestReleaseVersion.version, platforms };
+/**
+ * 读取依赖图索引
+ * @returns {Promise<{ extensions: Record<string, VsixGraphItem>, etag: string | null }>} 索引不存在时 etag 为 null
+ */
+async function loadDependencyGraph() {
+  try {
+    const { body, etag } = await getStorage().getObject(GRAPH_INDEX_PATH);
+    return { extensions: JSON.parse(body.toString('utf-8')).extensions || {}, etag };
   } catch (err) {
-    throw new Error(`Marketplace API request failed: ${err.message}`);
+    if (err.code !== 'NoSuchKey') {
+      throw err;
+    }
+    return { extensions: {}, etag: null };
+  }
+}
+
+/**
+ * 将本次解析的扩展合并到依赖图中，并移除不再被配置中的扩展直接或间接需要的扩展
+ * @param {Record<string, VsixGraphItem>} extensions - 已有的依赖图
+ * @param {Record<string, VsixGraphItem>} nodes - 本次解析的扩展
+ * @param {string[]} rootIds - 配置中的扩展
+ * @returns {VsixGraph}
+ */
+function mergeDependencyGraph(extensions, nodes, rootIds) {
+  const merged = { ...extensions, ...nodes };
+  const reachable = new Set();
+  const visit = (id) => {
+    if (reachable.has(id) || !merged[id]) {
+      return;
+    }
+    reachable.add(id);
+    merged[id].extensionDependencies.forEach(visit);
+    merged[id].extensionPack.forEach(visit);
+  };
+  rootIds.forEach(visit);
+  const result = Object.fromEntries(
+    Object.entries(merged)
+      .filter(([id]) => reachable.has(id))
+      .map(([id, item]) => [id, { ...item, auto: !rootIds.includes(id) }])
+      .sort(([a], [b]) => a.localeCompare(b)),
+  );
+  return {
+    extensions: result,
+    installOrder: getInstallOrder(result),
+    updatedAt: moment().toISOString(true),
+  };
+}
+
+/**
+ * 将本次解析的扩展合并到依赖图索引中，重新计算安装顺序并写入
+ * @param {Record<string, VsixGraphItem>} nodes - 本次解析的扩展
+ * @param {string[]} rootIds - 配置中的扩展
+ * @returns {Promise<VsixGraph>}
+ */
+async function saveDependencyGraph(nodes, rootIds) {
+  for (let attempt = 1; ; attempt++) {
+    const { extensions, etag } = await loadDependencyGraph();
+    const graph = mergeDependencyGraph(extensions, nodes, rootIds);
+    try {
+      await getStorage().put(
+        GRAPH_INDEX_PATH,
+        Buffer.from(JSON.stringify(graph, null, 2)),
+        etag ? { ifMatch: etag } : { ifNoneMatch: '*' },
+      );
+      logger.info(`Saved dependency graph ${GRAPH_INDEX_PATH}: ${graph.installOrder.join(', ')}`);
+      return graph;
+    } catch (err) {
+      if (err.code !== 'PreconditionFailed' || attempt >= MAX_SAVE_ATTEMPTS) {
+        throw err;
+      }
+      logger.warn(
+        `Dependency graph ${GRAPH_INDEX_PATH} was modified concurrently, retrying (attempt ${attempt}).`,
+      );
+    }
+  }
+}
+
+/**
+ * 将依赖图中记录过、但本次不再需要的扩展的索引项标记为已弃用，已发布的产物会保留
+ * @param {string[]} graphIds - 更新前依赖图中的扩展
+ * @param {Set<string>} keepIds - 配置和依赖图中的扩展
+ * @param {boolean} dryRun - 预演时只返回将被弃用的扩展
+ * @returns {Promise<string[]>} 新标记为弃用的扩展
+ */
+async function deprecateRemovedExtensions(graphIds, keepIds, dryRun) {
+  const removedIds = graphIds.filter((id) => !keepIds.has(id));
+  const deprecatedIds = [];
+  for (const id of removedIds) {
+    const rim = new ResourceIndexManager(path.join(VSIX_BASE_PATH, id), {
+      rootPath: RES_BASE_PATH,
+      retention: RETENTION,
+    });
+    await rim.load();
+    const keys = rim.keys().filter((key) => !rim.get(key).deprecated);
+    if (keys.length === 0) {
+      continue;
+    }
+    logger.warn(`Extension ${id} was removed from the vsix config, marking as deprecated.`);
+    deprecatedIds.push(id);
+    if (!dryRun) {
+      keys.forEach((key) => rim.deprecate(key, 'Removed from the vsix config'));
+      await rim.save();
+    }
   }
+  return deprecatedIds;
 }
 
 async function runVsixTask(args) {
+  const {
+    dryRun = false,
+    force = false,
+    platforms: platformFilter,
+    ids,
+    concurrency = CONCURRENCY,
+  } = args;
   const tmpSaveDir = path.join(os.tmpdir(), 'ab-f-vsix');
+  const vsixConfig = await loadVsixConfig();
+  const configIds = vsixConfig.map((vsix) => vsix.id);
+  const unknownIds = (ids || []).filter((id) => !configIds.includes(id.toLowerCase()));
+  if (unknownIds.length > 0) {
+    throw new Error(`Unknown extension ids: ${unknownIds.join(', ')}`);
+  }
+  const targetVsixList = vsixConfig.filter((vsix) => {
+    if (ids && !ids.some((id) => id.toLowerCase() === vsix.id)) {
+      return false;
+    }
+    if (!vsix.enabled) {
+      logger.info(`Skipping ${vsix.id}, disabled in the vsix config.`);
+    }
+    return vsix.enabled;
+  });
+  const plan = [];
   const successIds = [];
   const failedIds = [];
+  /** @type {Record<string, string>} */
+  const errors = {};
   let updates = 0;
+  /** @type {Record<string, VsixGraphItem>} 本次解析的扩展依赖 */
+  const graphNodes = {};
+  /** @type {Record<string, string[]>} 自动镜像的扩展及依赖它的扩展 */
+  const dependencyOf = {};
+  /** @type {Map<string, Promise<void>>} 已开始处理的扩展（按小写 ID） */
+  const processing = new Map();
+
+  const vscodeVersion = await getMirroredVSCodeVersion();
+  if (vscodeVersion) {
+    logger.info(`Selecting extension versions compatible with mirrored VSCode ${vscodeVersion}`);
+  } else {
+    logger.warn('No mirrored VSCode found, using the latest extension versions.');
+  }
+
+  const scheduler = new Scheduler({ concurrency, diskPath: tmpSaveDir });
+  const artifactPublisher = new ArtifactPublisher(RES_BASE_PATH);
+  if (!dryRun) {
+    await artifactPublisher.cleanupStaging();
+  }
+
+  /**
+   * 加入待处理的扩展，已在处理中的扩展不会重复处理
+   * @param {string} id - 扩展 ID
+   * @param {string} [dependent] - 依赖该扩展的扩展 ID，未传入时为配置中的扩展
+   */
+  const enqueue = (id, dependent) => {
+    id = id.toLowerCase();
+    const vsix = vsixConfig.find((v) => v.id === id);
+    if (dependent && !vsix) {
+      dependencyOf[id] = [...new Set([...(dependencyOf[id] || []), dependent])];
+    }
+    if (processing.has(id)) {
+      return;
+    }
+    if (vsix && !vsix.enabled) {
+      logger.warn(`Dependency ${id} of ${dependent} is disabled in the vsix config, skipping.`);
+      return;
+    }
+    if (dependent) {
+      logger.info(`Found dependency ${id} of ${dependent}`);
+    }
+    processing.set(
+      id,
+      processExtension(
+        vsix || { id, preRelease: false, platforms: COMM_PLATFORMS, registry: DEFAULT_REGISTRY },
+      ),
+    );
+  };
 
-  for (const vsix of vsixList) {
+  /**
+   * 镜像一个扩展的各平台版本，并将其依赖的扩展加入处理
+   * @param {ReturnType<typeof normalizeVsixConfigEntry>} vsix - 扩展配置
+   */
+  const processExtension = async (vsix) => {
     const { id } = vsix;
+    // 首选的扩展源失败时依次回退到其他扩展源
+    const registries = [
+      vsix.registry,
+      ...getRegistryNames().filter((name) => name !== vsix.registry),
+    ].map(getRegistry);
     try {
       logger.info(`Processing: ${id}`);
       const basePath = path.join(VSIX_BASE_PATH, id);
-      const rim = new ResourceIndexManager(basePath);
-      await rim.load();
-      const { version, platforms } = await getLatestVersionInfo(id, COMM_PLATFORMS);
-      logger.info(`Fetched ${id}: version ${version}, platforms: [${platforms.join(', ')}]`);
+      const rim = new ResourceIndexManager(basePath, {
+        rootPath: RES_BASE_PATH,
+        retention: RETENTION,
+      });
+      const {
+        version,
+        platforms: availablePlatforms,
+        registries: platformRegistries,
+        extensionDependencies,
+        extensionPack,
+      } = await scheduler.run(
+        async () => {
+          await rim.load();
+          return getLatestVersionInfo(id, {
+            registries,
+            platforms: vsix.platforms,
+            vscodeVersion,
+            versionRange: vsix.version,
+            preRelease: vsix.preRelease,
+          });
+        },
+        { name: id },
+      );
+      logger.info(
+        `Fetched ${id}: version ${version}, platforms: [${availablePlatforms.join(', ')}]`,
+      );
+      const platforms = platformFilter
+        ? availablePlatforms.filter((platform) => platformFilter.includes(platform))
+        : availablePlatforms;
       if (platforms.length === 0) {
         logger.warn(`No platforms found for ${id}, skipping.`);
-        continue;
+        return;
       }
-      for (const platform of platforms) {
-        const resItem = rim.get(platform);
-        if (resItem && resItem.version === version) {
-          logger.info(`Skipping ${id}-${platform}, already up-to-date.`);
-          continue;
-        }
-        const { filePath, fileName } = await downloadVsix(id, platform, version, tmpSaveDir);
-        const cosDir = path.join(basePath, platform);
-        const cosFilePath = path.join(cosDir, fileName);
-        if (
-          rim.update(
-            platform,
-            ResourceIndexManager.genIndexItemForFile(
-              filePath,
-              path.relative(RES_BASE_PATH, cosFilePath),
+      // 扩展源信息中的依赖作为预演和跳过的平台的依据，下载的平台以 package.json 为准
+      const dependencies = {
+        extensionDependencies: new Set(extensionDependencies),
+        extensionPack: new Set(extensionPack),
+      };
+      const addDependencies = (info) => {
+        info?.extensionDependencies?.forEach((dep) => dependencies.extensionDependencies.add(dep));
+        info?.extensionPack?.forEach((dep) => dependencies.extensionPack.add(dep));
+      };
+      const results = await Promise.allSettled(
+        platforms.map(async (platform) => {
+          if (dryRun) {
+            if (rim.get(platform)?.version === version) {
+              addDependencies(rim.get(platform));
+            }
+            const planItem = createPlanItem(
+              rim,
+              platform,
               version,
-            ),
-          )
-        ) {
-          await uploadFileToCOS(filePath, cosFilePath);
-        }
-        await fs.remove(filePath);
+              { id, registry: platformRegistries[platform] },
+              force,
+            );
+            if (isPlanItemActive(planItem)) {
+              planItem.size = await getRemoteFileSize(
+                getRegistry(platformRegistries[platform]).getDownloadUrl(id, platform, version),
+              );
+            }
+            plan.push(planItem);
+            return;
+          }
+          const resItem = rim.get(platform);
+          if (rim.isPinned(platform)) {
+            logger.info(`Skipping ${id}-${platform}, pinned at version ${resItem.pinned.version}.`);
+            addDependencies(resItem);
+            return;
+          }
+          if (!force && resItem && resItem.version === version) {
+            logger.info(`Skipping ${id}-${platform}, already up-to-date.`);
+            addDependencies(resItem);
+            return;
+          }
+          const platformRegistry = getRegistry(platformRegistries[platform]);
+          const estimatedSize = await getRemoteFileSize(
+            platformRegistry.getDownloadUrl(id, platform, version),
+          );
+          await scheduler.run(
+            async () => {
+              const { filePath, fileName, registry, checksum } = await downloadVsixWithFallback(
+                [platformRegistry, ...registries.filter((r) => r !== platformRegistry)],
+                id,
+                platform,
+                version,
+                tmpSaveDir,
+              );
+              try {
+                const verification = await verifyFile(filePath, checksum);
+                const info = await verifyVsix(filePath, { id, version, platform });
+                if (vscodeVersion && !isEngineCompatible(info.engine, vscodeVersion)) {
+                  throw new ArtifactValidationError(
+                    `${id}@${version}-${platform} requires VSCode ${info.engine}, not compatible with mirrored VSCode ${vscodeVersion}`,
+                  );
+                }
+                await artifactPublisher.publish(rim, platform, filePath, {
+                  remoteDir: path.join(basePath, platform),
+                  fileName,
+                  version,
+                  verification,
+                  extra: {
+                    registry: registry.name,
+                    engines: { vscode: info.engine },
+                    extensionDependencies: info.extensionDependencies,
+                    extensionPack: info.extensionPack,
+                  },
+                  force,
+                });
+                addDependencies(info);
+              } finally {
+                await fs.remove(filePath);
+              }
+            },
+            { name: `${id}-${platform}`, estimatedSize },
+          );
+        }),
+      );
+
+      graphNodes[id] = {
+        version,
+        extensionDependencies: [...dependencies.extensionDependencies].sort(),
+        extensionPack: [...dependencies.extensionPack].sort(),
+        auto: !configIds.includes(id),
+      };
+      [...graphNodes[id].extensionDependencies, ...graphNodes[id].extensionPack]
+        .filter((dep) => !isBuiltinExtension(dep))
+        .forEach((dep) => enqueue(dep, id));
+
+      if (dryRun) {
+        return;
       }
+      // 扩展重新加入配置后取消弃用标记
+      rim.keys().forEach((key) => rim.undeprecate(key));
+      // save the platforms that succeeded even if some others failed
       updates += await rim.save();
+      let hasFailure = false;
+      results.forEach((result, i) => {
+        if (result.status === 'rejected') {
+          logger.error(`Failed to process ${id}-${platforms[i]}:`, result.reason);
+          errors[`${id}-${platforms[i]}`] = result.reason.message;
+          hasFailure = true;
+        }
+      });
+      if (hasFailure) {
+        failedIds.push(id);
+        return;
+      }
       successIds.push(id);
     } catch (error) {
       logger.error(`Failed to process extension ${id}:`, error);
       failedIds.push(id);
+      errors[id] = error.message;
     }
+  };
+
+  targetVsixList.forEach((vsix) => enqueue(vsix.id));
+  // 处理过程中会加入新发现的依赖，直到没有新的扩展加入
+  for (let settled = 0; settled < processing.size; ) {
+    settled = processing.size;
+    await Promise.all(processing.values());
+  }
+  const dependencyIds = Object.keys(dependencyOf).sort();
+  if (dependencyIds.length > 0) {
+    logger.info(
+      `Mirrored dependencies: ${dependencyIds
+        .map((id) => `${id} (required by ${dependencyOf[id].join(', ')})`)
+        .join(', ')}`,
+    );
+  }
+
+  // 未能解析的扩展不写入依赖图，保留上次的记录
+  const previousGraph = await loadDependencyGraph();
+  const mergedGraph = mergeDependencyGraph(previousGraph.extensions, graphNodes, configIds);
+  // 从依赖图中移除的扩展即不再需要的扩展。先弃用再保存依赖图，弃用失败时下次运行仍能从依赖图中找到它们
+  const deprecatedIds = await deprecateRemovedExtensions(
+    Object.keys(previousGraph.extensions),
+    new Set([...configIds, ...Object.keys(mergedGraph.extensions), ...processing.keys()]),
+    dryRun,
+  );
+  const graph = dryRun ? mergedGraph : await saveDependencyGraph(graphNodes, configIds);
+
+  if (dryRun) {
+    logger.info(`Dry run plan: ${JSON.stringify(plan)}`);
+    return {
+      dryRun,
+      plan,
+      summary: summarizePlan(plan),
+      vscodeVersion,
+      dependencyOf,
+      installOrder: graph.installOrder,
+      deprecatedIds,
+      failedIds,
+      errors,
+    };
   }
 
   logger.info(`${successIds.length} succeeded, ${failedIds.length} failed, ${updates} updated.`);
   if (failedIds.length > 0) {
-    logger.warn(`Failed extensions: ${failedIds.join(', ')}`);
+    logger.warn(
+      `Failed extensions: ${Object.entries(errors)
+        .map(([name, reason]) => `${name} (${reason})`)
+        .join(', ')}`,
+    );
   }
 
   return {
+    vscodeVersion,
     successIds,
     failedIds,
+    errors,
     updates,
+    dependencyOf,
+    installOrder: graph.installOrder,
+    deprecatedIds,
   };
 }
 
-module.exports = runVsixTask;
+module.exports = defineTask({
+  name: 'vsix',
+  description: 'Mirror VSCode extensions',
+  schedule: '0 0 * * * * *',
+  args: {
+    ...RESOURCE_TASK_ARGS,
+    platforms: platformsArg([...VSIX_PLATFORMS, 'universal']),
+    ids: {
+      type: 'string[]',
+      description: 'Only process these extension ids',
+    },
+  },
+  retention: RETENTION,
+  concurrency: CONCURRENCY,
+  platforms: COMM_PLATFORMS,
+  run: runVsixTask,
+});
@@ -0,0 +1,114 @@
+const assert = require('assert').strict;
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const execa = require('execa');
+const { get7zReport, normalizeArchive } = require('../utils/7z-to-zip');
+const { ZipReader } = require('../utils/zip');
+const { test } = require('./helpers');
+
+async function md5(filePath) {
+  return crypto
+    .createHash('md5')
+    .update(await fs.readFile(filePath))
+    .digest('hex');
+}
+
+/**
+ * Write a small tree with an empty file, an executable and an empty directory
+ * @param {string} dir
+ * @param {Date} mtime - Modification time of all entries
+ */
+async function writeFixtureTree(dir, mtime) {
+  await fs.outputFile(path.join(dir, 'pkg/README.txt'), 'hello\n');
+  await fs.outputFile(path.join(dir, 'pkg/lib/data.bin'), '');
+  await fs.outputFile(path.join(dir, 'pkg/lib/nested/large.txt'), 'algo-bootstrap\n'.repeat(1000));
+  await fs.outputFile(path.join(dir, 'pkg/bin/tool'), '#!/bin/sh\necho tool\n', { mode: 0o755 });
+  await fs.ensureDir(path.join(dir, 'pkg/empty'));
+  for (const p of ['README.txt', 'lib/data.bin', 'lib/nested/large.txt', 'bin/tool', 'empty']) {
+    await fs.utimes(path.join(dir, 'pkg', p), mtime, mtime);
+  }
+}
+
+/**
+ * Pack a directory as 7z with the chosen 7z binary
+ * @param {string} srcDir
+ * @param {string} archivePath
+ */
+async function pack7z(srcDir, archivePath) {
+  const { chosen } = await get7zReport();
+  assert.ok(chosen, 'No usable 7z binary');
+  await execa(chosen.bin, ['a', '-t7z', archivePath, 'pkg'], { cwd: srcDir });
+}
+
+test('converting the same 7z twice gives identical bytes', async (tmpDir) => {
+  const srcDir = path.join(tmpDir, 'src');
+  await writeFixtureTree(srcDir, new Date());
+  const archivePath = path.join(tmpDir, 'pkg.7z');
+  await pack7z(srcDir, archivePath);
+
+  const first = await normalizeArchive(archivePath, path.join(tmpDir, '1.zip'));
+  // Let the clock move on, so timestamps of the extracted files differ between the runs
+  await new Promise((resolve) => setTimeout(resolve, 2100));
+  const second = await normalizeArchive(archivePath, path.join(tmpDir, '2.zip'));
+  assert.equal(await md5(first), await md5(second));
+});
+
+test('same content with different timestamps gives identical bytes', async (tmpDir) => {
+  const digests = [];
+  for (const [i, mtime] of [new Date('2010-05-01T12:00:00Z'), new Date()].entries()) {
+    const srcDir = path.join(tmpDir, `src${i}`);
+    await writeFixtureTree(srcDir, mtime);
+    const archivePath = path.join(tmpDir, `pkg${i}.7z`);
+    await pack7z(srcDir, archivePath);
+    digests.push(await md5(await normalizeArchive(archivePath, path.join(tmpDir, `${i}.zip`))));
+  }
+  assert.equal(digests[0], digests[1]);
+});
+
+/**
+ * Write a tree with symlinks as built on Linux, and pack it as tar.xz with the system tar
+ * @param {string} tmpDir
+ * @param {Record<string, string>} links - Link targets by link path under `pkg`
+ * @returns {Promise<string>} Path of the archive
+ */
+async function packTarWithLinks(tmpDir, links) {
+  const srcDir = path.join(tmpDir, 'src');
+  await writeFixtureTree(srcDir, new Date());
+  for (const [linkPath, target] of Object.entries(links)) {
+    const link = path.join(srcDir, 'pkg', linkPath);
+    await fs.ensureDir(path.dirname(link));
+    await fs.symlink(target, link);
+  }
+  const archivePath = path.join(tmpDir, 'pkg.tar.xz');
+  await execa('tar', ['-cJf', archivePath, 'pkg'], { cwd: srcDir });
+  return archivePath;
+}
+
+test('symlinks are packed as copies of their targets', async (tmpDir) => {
+  const archivePath = await packTarWithLinks(tmpDir, {
+    'bin/tool2': 'tool',
+    'bin/readme': '../README.txt',
+    lib64: 'lib',
+  });
+  const zipPath = await normalizeArchive(archivePath, path.join(tmpDir, 'out.zip'));
+  const zip = await ZipReader.open(zipPath);
+  try {
+    const read = async (name) => (await zip.read(name)).toString();
+    assert.equal(await read('pkg/bin/tool2'), await read('pkg/bin/tool'));
+    assert.equal(await read('pkg/bin/readme'), 'hello\n');
+    assert.equal(await read('pkg/lib64/nested/large.txt'), await read('pkg/lib/nested/large.txt'));
+    assert.ok(zip.getEntry('pkg/lib64/data.bin'));
+  } finally {
+    await zip.close();
+  }
+});
+
+test('symlinks pointing outside the archive are rejected', async (tmpDir) => {
+  const archivePath = await packTarWithLinks(tmpDir, { 'bin/passwd': '../../../etc/passwd' });
+  await assert.rejects(
+    normalizeArchive(archivePath, path.join(tmpDir, 'out.zip')),
+    // Rejected by 7z when extracting, or by the check after extraction
+    /pkg\/bin\/passwd/,
+  );
+});
@@ -0,0 +1,75 @@
+const assert = require('assert').strict;
+const { test } = require('./helpers');
+const { getScfArgs, validateTaskArgs } = require('../utils/args');
+const { RESOURCE_TASK_ARGS, platformsArg } = require('../utils/task');
+
+const task = {
+  name: 'demo',
+  args: {
+    ...RESOURCE_TASK_ARGS,
+    platforms: platformsArg(['win32-x64', 'win32-arm64']),
+    id: { type: 'string', required: true },
+  },
+};
+
+test('validateTaskArgs normalizes valid args', async () => {
+  const cases = [
+    [
+      { type: 'demo', id: 'a' },
+      { type: 'demo', id: 'a' },
+    ],
+    [
+      { id: 'a', platforms: 'win32-x64, win32-arm64,' },
+      { id: 'a', platforms: ['win32-x64', 'win32-arm64'] },
+    ],
+    [
+      { id: 'a', platforms: ['win32-arm64'] },
+      { id: 'a', platforms: ['win32-arm64'] },
+    ],
+    [
+      { id: 'a', concurrency: '3' },
+      { id: 'a', concurrency: 3 },
+    ],
+    [
+      { id: 'a', concurrency: 2 },
+      { id: 'a', concurrency: 2 },
+    ],
+    [
+      { id: 'a', dryRun: true, force: false },
+      { id: 'a', dryRun: true, force: false },
+    ],
+    [{ id: 'a', concurrency: null, platforms: undefined }, { id: 'a' }],
+  ];
+  for (const [args, expected] of cases) {
+    assert.deepEqual(validateTaskArgs(args, task), expected, JSON.stringify(args));
+  }
+});
+
+test('validateTaskArgs rejects invalid args', async () => {
+  const cases = [
+    [{ id: 'a', foo: 1 }, /Unknown args for task demo: foo \(supported: dryRun, force/],
+    [{}, /Missing required arg for task demo: id/],
+    [{ id: 'a', concurrency: 'two' }, /Invalid arg concurrency .*expected number, got "two"/],
+    [{ id: 'a', concurrency: '' }, /Invalid arg concurrency .*expected number, got ""/],
+    [{ id: 'a', dryRun: 'true' }, /Invalid arg dryRun .*expected boolean/],
+    [{ id: 'a', platforms: [1] }, /Invalid arg platforms .*expected string\[\]/],
+    [
+      { id: 'a', platforms: 'win32-x64,linux-x64' },
+      /linux-x64 \(allowed: win32-x64, win32-arm64\)/,
+    ],
+    [{ id: 1 }, /Invalid arg id .*expected string, got 1/],
+  ];
+  for (const [args, message] of cases) {
+    assert.throws(() => validateTaskArgs(args, task), message, JSON.stringify(args));
+  }
+});
+
+test('getScfArgs reads args from the timer message', async () => {
+  assert.deepEqual(getScfArgs(undefined), {});
+  assert.deepEqual(getScfArgs({ type: 'vsix' }), { type: 'vsix' });
+  assert.deepEqual(getScfArgs({ Type: 'Timer', Message: '{"type":"vsix","force":true}' }), {
+    type: 'vsix',
+    force: true,
+  });
+  assert.deepEqual(getScfArgs({ Type: 'Timer', Message: 'not json' }), {});
+});
@@ -0,0 +1,136 @@
+const assert = require('assert').strict;
+const http = require('http');
+const path = require('path');
+const fs = require('fs-extra');
+const { test } = require('./helpers');
+const { downloadFile } = require('../utils/download');
+
+const CONTENT = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+const FAST_RETRY = { retries: 2, backoff: 10 };
+
+/**
+ * Run a local HTTP server during `fn`, closing all its connections afterwards
+ * @param {(req: http.IncomingMessage, res: http.ServerResponse, index: number) => void} handler - Handles the request of the index-th attempt
+ * @param {(url: string, requests: http.IncomingMessage[]) => Promise<void>} fn
+ */
+async function withServer(handler, fn) {
+  const requests = [];
+  const sockets = new Set();
+  const server = http.createServer((req, res) => {
+    requests.push(req);
+    handler(req, res, requests.length - 1);
+  });
+  server.on('connection', (socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/file.bin`, requests);
+  } finally {
+    sockets.forEach((socket) => socket.destroy());
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+/**
+ * Send the first bytes of the content, then drop the connection
+ * @param {http.ServerResponse} res
+ * @param {number} length
+ * @param {Record<string, string | number>} [headers]
+ */
+function sendAndDrop(res, length, headers = { 'content-length': CONTENT.length }) {
+  res.writeHead(200, headers);
+  res.write(CONTENT.subarray(0, length), () => setTimeout(() => res.socket.destroy(), 50));
+}
+
+test('download resumes after a dropped connection', async (tmpDir) => {
+  const filePath = path.join(tmpDir, 'file.bin');
+  await withServer(
+    (req, res, index) => {
+      if (index === 0) {
+        sendAndDrop(res, 10);
+        return;
+      }
+      const start = parseInt(/^bytes=(\d+)-$/.exec(req.headers.range)[1], 10);
+      res.writeHead(206, {
+        'content-length': CONTENT.length - start,
+        'content-range': `bytes ${start}-${CONTENT.length - 1}/${CONTENT.length}`,
+      });
+      res.end(CONTENT.subarray(start));
+    },
+    async (url, requests) => {
+      const result = await downloadFile(url, filePath, FAST_RETRY);
+      assert.deepEqual(result, { size: CONTENT.length, expectedSize: CONTENT.length });
+      assert.equal(requests.length, 2);
+      assert.equal(requests[1].headers.range, 'bytes=10-');
+      assert.deepEqual(await fs.readFile(filePath), CONTENT);
+    },
+  );
+});
+
+test('416 for a range at the end of the file completes the download', async (tmpDir) => {
+  const filePath = path.join(tmpDir, 'file.bin');
+  await withServer(
+    (req, res, index) => {
+      if (index === 0) {
+        // The whole content without Content-Length, then the connection drops before the end
+        sendAndDrop(res, CONTENT.length, {});
+        return;
+      }
+      res.writeHead(416, { 'content-range': `bytes */${CONTENT.length}` });
+      res.end();
+    },
+    async (url, requests) => {
+      const result = await downloadFile(url, filePath, FAST_RETRY);
+      assert.deepEqual(result, { size: CONTENT.length, expectedSize: CONTENT.length });
+      assert.equal(requests[1].headers.range, `bytes=${CONTENT.length}-`);
+      assert.deepEqual(await fs.readFile(filePath), CONTENT);
+    },
+  );
+});
+
+test('download shorter than the expected length is rejected', async (tmpDir) => {
+  const filePath = path.join(tmpDir, 'file.bin');
+  await withServer(
+    (req, res) => {
+      if (!req.headers.range) {
+        sendAndDrop(res, 10);
+        return;
+      }
+      // Claims the rest of the file, but only has a part of it
+      res.writeHead(206, {
+        'content-length': 5,
+        'content-range': `bytes 10-14/${CONTENT.length}`,
+      });
+      res.end(CONTENT.subarray(10, 15));
+    },
+    async (url) => {
+      await assert.rejects(downloadFile(url, filePath, { retries: 1, backoff: 10 }), {
+        name: 'IncompleteDownloadError',
+        message: 'Downloaded size mismatch: got 15 bytes, expected 36 bytes',
+      });
+      assert.ok(!(await fs.pathExists(filePath)), 'partial file is removed');
+    },
+  );
+});
+
+test('download is aborted when no data is received for the idle timeout', async (tmpDir) => {
+  const filePath = path.join(tmpDir, 'file.bin');
+  await withServer(
+    (req, res) => {
+      res.writeHead(200, { 'content-length': CONTENT.length });
+      res.write(CONTENT.subarray(0, 10));
+    },
+    async (url, requests) => {
+      const start = Date.now();
+      await assert.rejects(
+        downloadFile(url, filePath, { retries: 1, backoff: 10, idleTimeout: 200 }),
+        { name: 'TimeoutError' },
+      );
+      assert.ok(Date.now() - start < 5000);
+      assert.equal(requests.length, 2);
+      assert.ok(!(await fs.pathExists(filePath)));
+    },
+  );
+});
@@ -0,0 +1,49 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+// Tests use the local storage driver, set up before any module creates the storage
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'res-dl-test-storage-'));
+
+/** @type {{ name: string, fn: (tmpDir: string) => Promise<void> }[]} */
+const tests = [];
+let scheduled = false;
+
+/**
+ * Register a test, which gets a fresh temporary directory. Tests of all loaded files run in
+ * order once the current tick ends
+ * @param {string} name
+ * @param {(tmpDir: string) => Promise<void>} fn
+ */
+function test(name, fn) {
+  tests.push({ name, fn });
+  if (!scheduled) {
+    scheduled = true;
+    setImmediate(run);
+  }
+}
+
+async function run() {
+  let failed = 0;
+  for (const { name, fn } of tests) {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'res-dl-test-'));
+    try {
+      await fn(tmpDir);
+      console.log(`ok - ${name}`);
+    } catch (err) {
+      failed++;
+      console.error(`not ok - ${name}`);
+      console.error(err);
+    } finally {
+      await fs.remove(tmpDir);
+    }
+  }
+  await fs.remove(process.env.LOCAL_STORAGE_ROOT);
+  console.log(`${tests.length - failed}/${tests.length} tests passed`);
+  process.exitCode = failed > 0 ? 1 : 0;
+}
+
+module.exports = {
+  test,
+};
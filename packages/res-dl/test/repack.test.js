@@ -0,0 +1,140 @@
+const assert = require('assert').strict;
+const { test } = require('./helpers');
+const { globToRegExp, planRepack, renderRepackFiles } = require('../utils/repack');
+const githubReleaseConfig = require('../config/github-release');
+
+test('globToRegExp matches whole paths', async () => {
+  const cases = [
+    ['a/**', ['a', 'a/b', 'a/b/c'], ['ab', 'b/a']],
+    ['**/b', ['b', 'a/b', 'a/c/b'], ['ab', 'a/bc']],
+    ['a/**/c', ['a/c', 'a/b/c', 'a/b/d/c'], ['ac', 'a/bc']],
+    ['*.txt', ['a.txt', '.txt'], ['a/b.txt', 'atxt']],
+    ['a?c', ['abc'], ['ac', 'a/c']],
+    ['{doc,man}/*', ['doc/a', 'man/a'], ['info/a', 'doc', '{doc,man}/a']],
+    ['*/share/{doc,info,man}/**', ['x/share/doc', 'x/share/man/a/b'], ['share/doc', 'x/share/lib']],
+    ['a.b(c)+', ['a.b(c)+'], ['axb(c)+', 'a.bc']],
+  ];
+  for (const [glob, matched, unmatched] of cases) {
+    const re = globToRegExp(glob);
+    matched.forEach((p) => assert.ok(re.test(p), `${glob} should match ${p}`));
+    unmatched.forEach((p) => assert.ok(!re.test(p), `${glob} should not match ${p}`));
+  }
+  assert.throws(() => globToRegExp('{a,b'), /Unclosed brace in glob: \{a,b/);
+});
+
+/**
+ * Build entries from paths, where paths ending with `/` are directories
+ * @param {string[]} paths
+ */
+function toEntries(paths) {
+  return paths.map((p) => ({ path: p.replace(/\/$/, ''), dir: p.endsWith('/') }));
+}
+
+test('planRepack keeps, moves and drops entries by the rules', async () => {
+  const toolchainRepack = githubReleaseConfig.c_cpp.resources[0].repack;
+  const toolchain = toEntries([
+    'mingw64/',
+    'mingw64/bin/',
+    'mingw64/bin/gcc.exe',
+    'mingw64/share/',
+    'mingw64/share/doc/',
+    'mingw64/share/doc/gcc/README',
+    'mingw64/share/man/man1/gcc.1',
+    'mingw64/share/info/',
+    'mingw64/share/locale/de/gcc.mo',
+  ]);
+  const tree = toEntries(['pkg/', 'pkg/a/', 'pkg/a/x.txt', 'pkg/a/y.md', 'pkg/b/', 'pkg/empty/']);
+  const cases = [
+    [
+      'toolchain docs',
+      toolchain,
+      toolchainRepack,
+      {
+        mingw64: 'mingw64',
+        'mingw64/bin': 'mingw64/bin',
+        'mingw64/bin/gcc.exe': 'mingw64/bin/gcc.exe',
+        'mingw64/share': 'mingw64/share',
+        'mingw64/share/locale/de/gcc.mo': 'mingw64/share/locale/de/gcc.mo',
+      },
+    ],
+    [
+      'strip and move under rootDir',
+      tree,
+      { stripTopLevel: true, rootDir: '/out/' },
+      {
+        'pkg/a': 'out/a',
+        'pkg/a/x.txt': 'out/a/x.txt',
+        'pkg/a/y.md': 'out/a/y.md',
+        'pkg/b': 'out/b',
+        'pkg/empty': 'out/empty',
+      },
+    ],
+    [
+      'include with leading **/',
+      tree,
+      { stripTopLevel: true, include: ['**/*.txt'] },
+      { 'pkg/a': 'a', 'pkg/a/x.txt': 'a/x.txt' },
+    ],
+    [
+      'non-empty directory kept only with content',
+      tree,
+      { exclude: ['pkg/a/*'] },
+      { pkg: 'pkg', 'pkg/b': 'pkg/b', 'pkg/empty': 'pkg/empty' },
+    ],
+    ['exclude a directory with dir/**', tree, { exclude: ['pkg/a/**', 'pkg/{b,empty}'] }, {}],
+    [
+      'include an empty directory',
+      tree,
+      { include: ['pkg/empty/**'] },
+      { pkg: 'pkg', 'pkg/empty': 'pkg/empty' },
+    ],
+  ];
+  for (const [name, entries, rules, expected] of cases) {
+    assert.deepEqual(Object.fromEntries(planRepack(entries, rules)), expected, name);
+  }
+});
+
+test('planRepack rejects stripTopLevel without a single top-level directory', async () => {
+  const cases = [
+    [['a/', 'a/x', 'b/', 'b/y'], /requires a single top-level directory, found: a, b$/],
+    [['a/x', 'README'], /found: a, README$/],
+    [['README'], /found: README$/],
+  ];
+  for (const [paths, message] of cases) {
+    assert.throws(() => planRepack(toEntries(paths), { stripTopLevel: true }), message);
+  }
+  // the top-level directory may be implied by its content
+  assert.deepEqual(Object.fromEntries(planRepack(toEntries(['a/x']), { stripTopLevel: true })), {
+    'a/x': 'x',
+  });
+});
+
+test('renderRepackFiles renders files and rejects paths outside the zip', async () => {
+  const files = renderRepackFiles(
+    {
+      files: {
+        'VERSION.txt': '{{version}}\n',
+        'sub\\info.json': { version: '{{version}}', list: ['{{version}}', 1] },
+      },
+    },
+    { version: '1.2.3' },
+  );
+  assert.deepEqual(
+    files.map((f) => [f.path, f.content.toString()]),
+    [
+      ['VERSION.txt', '1.2.3\n'],
+      ['sub/info.json', '{\n  "version": "1.2.3",\n  "list": [\n    "1.2.3",\n    1\n  ]\n}\n'],
+    ],
+  );
+  for (const filePath of ['../x', 'a/../../x', '/etc/x', '..\\x', 'a/b/../../../x']) {
+    assert.throws(
+      () => renderRepackFiles({ files: { [filePath]: '' } }),
+      /Invalid path of repack file/,
+      filePath,
+    );
+  }
+  assert.throws(
+    () => renderRepackFiles({ files: { x: '{{missing}}' } }),
+    /Unknown variable in repack files: missing/,
+  );
+});
@@ -0,0 +1,146 @@
+const assert = require('assert').strict;
+const path = require('path');
+const fs = require('fs-extra');
+const { test } = require('./helpers');
+const ResourceIndexManager = require('../utils/res-index-mgr');
+const { getStorage } = require('../utils/storage');
+
+const storageRoot = process.env.LOCAL_STORAGE_ROOT;
+
+/**
+ * Create an index manager of a new root path, whose artifacts are written to the local storage
+ * @param {string} name - Root path, unique in each test
+ * @param {number} retention
+ */
+async function createIndex(name, retention) {
+  const rim = new ResourceIndexManager(`${name}/res`, { rootPath: name, retention });
+  await rim.load();
+  return rim;
+}
+
+/**
+ * Get an index item, and write its artifact to the storage
+ * @param {string} rootPath
+ * @param {string} key
+ * @param {string} version
+ */
+async function publish(rootPath, key, version) {
+  const item = {
+    version,
+    path: `res/${key}/${version}/file.zip`,
+    md5: `md5-${key}-${version}`,
+    size: 1,
+    updatedAt: '2026-01-01T00:00:00.000+08:00',
+  };
+  await fs.outputFile(path.join(storageRoot, rootPath, item.path), version);
+  return item;
+}
+
+function exists(rootPath, key, version) {
+  return fs.pathExistsSync(path.join(storageRoot, rootPath, `res/${key}/${version}/file.zip`));
+}
+
+test('artifacts out of the retention window are deleted after saving', async () => {
+  const rim = await createIndex('retention', 1);
+  for (const version of ['1', '2', '3']) {
+    rim.update('a', await publish('retention', 'a', version));
+  }
+  assert.deepEqual(
+    rim.get('a').history.map((h) => h.version),
+    ['2'],
+  );
+  assert.ok(exists('retention', 'a', '1'), 'nothing is deleted before saving');
+  await rim.save();
+  assert.ok(!exists('retention', 'a', '1'));
+  assert.ok(exists('retention', 'a', '2'));
+  assert.ok(exists('retention', 'a', '3'));
+});
+
+test('artifacts still referenced by another key are kept', async () => {
+  const rim = await createIndex('shared', 0);
+  const shared = await publish('shared', 'a', '1');
+  rim.update('a', shared);
+  rim.update('alias', shared);
+  rim.update('a', await publish('shared', 'a', '2'));
+  await rim.save();
+  assert.equal(rim.get('a').history.length, 0);
+  assert.ok(exists('shared', 'a', '1'), 'current artifact of another key');
+
+  rim.update('alias', await publish('shared', 'alias', '2'));
+  await rim.save();
+  assert.ok(!exists('shared', 'a', '1'), 'deleted once no key references it');
+});
+
+test('artifacts of pinned keys are never deleted', async () => {
+  const rim = await createIndex('pinned', 0);
+  const pinnedItem = await publish('pinned', 'p', '1');
+  rim.update('p', pinnedItem);
+  rim.pin('p', 'broken upstream');
+  assert.equal(rim.update('p', await publish('pinned', 'p', '2')), false);
+
+  // Another key expires the same artifact, e.g. after a rollback to a shared build
+  rim.update('q', pinnedItem);
+  rim.update('q', await publish('pinned', 'q', '2'));
+  await rim.save();
+  assert.equal(rim.get('p').version, '1');
+  assert.ok(exists('pinned', 'p', '1'));
+
+  // Items are re-read from storage, as another run sees them
+  const reloaded = await createIndex('pinned', 0);
+  assert.ok(reloaded.isPinned('p'));
+  assert.equal(reloaded.update('p', await publish('pinned', 'p', '3'), { force: true }), false);
+  await reloaded.save();
+  assert.ok(exists('pinned', 'p', '1'));
+});
+
+test('concurrent saves are merged by re-applying the changes', async () => {
+  const first = await createIndex('merge', 1);
+  const second = await createIndex('merge', 1);
+  first.update('a', await publish('merge', 'a', '1'));
+  second.update('b', await publish('merge', 'b', '1'));
+  second.pin('b', 'reviewed');
+  assert.equal(await first.save(), 1);
+  // The second manager loaded the index before the first saved, so its write is rejected once
+  assert.equal(await second.save(), 2, 'the update and the pin');
+
+  const reloaded = await createIndex('merge', 1);
+  assert.deepEqual(reloaded.keys().sort(), ['a', 'b']);
+  assert.ok(reloaded.isPinned('b'));
+
+  // An update of the same key made concurrently is merged into the history
+  first.update('a', await publish('merge', 'a', '2'));
+  reloaded.update('a', await publish('merge', 'a', '3'));
+  await reloaded.save();
+  await first.save();
+  const merged = await createIndex('merge', 1);
+  assert.equal(merged.get('a').version, '2');
+  assert.deepEqual(
+    merged.get('a').history.map((h) => h.version),
+    ['3'],
+  );
+  assert.ok(!exists('merge', 'a', '1'), 'expired by the re-applied update');
+});
+
+test('saving gives up after repeated conflicts', async () => {
+  const storage = getStorage();
+  const rim = await createIndex('conflict', 1);
+  rim.update('a', await publish('conflict', 'a', '1'));
+  const put = storage.put;
+  let attempts = 0;
+  storage.put = async (key, ...args) => {
+    if (key === rim.indexPath) {
+      attempts++;
+      const error = new Error(`Precondition failed for key: ${key}`);
+      error.code = 'PreconditionFailed';
+      throw error;
+    }
+    return put.call(storage, key, ...args);
+  };
+  try {
+    await assert.rejects(rim.save(), (err) => err.code === 'PreconditionFailed');
+  } finally {
+    storage.put = put;
+  }
+  assert.equal(attempts, 5);
+  assert.equal(rim.get('a').version, '1', 'changes are kept after reloading');
+});
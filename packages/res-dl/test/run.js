@@ -0,0 +1,9 @@
+// Run all test files. A single file can also be run by itself, e.g. `node test/zip.test.js`
+const fs = require('fs');
+const path = require('path');
+
+for (const name of fs.readdirSync(__dirname).sort()) {
+  if (name.endsWith('.test.js')) {
+    require(path.join(__dirname, name));
+  }
+}
@@ -0,0 +1,52 @@
+const assert = require('assert').strict;
+const path = require('path');
+const fs = require('fs-extra');
+const { test } = require('./helpers');
+const { getStorage } = require('../utils/storage');
+
+const storageRoot = process.env.LOCAL_STORAGE_ROOT;
+
+const rejectsPrecondition = (promise) =>
+  assert.rejects(promise, (err) => err.code === 'PreconditionFailed');
+
+test('conditional writes reject a stale etag or an existing object', async () => {
+  const storage = getStorage();
+  const { etag } = await storage.put('cond/a.json', Buffer.from('1'), { ifNoneMatch: '*' });
+  await rejectsPrecondition(storage.put('cond/a.json', Buffer.from('2'), { ifNoneMatch: '*' }));
+  const { etag: etag2 } = await storage.put('cond/a.json', Buffer.from('2'), { ifMatch: etag });
+  await rejectsPrecondition(storage.put('cond/a.json', Buffer.from('3'), { ifMatch: etag }));
+  await rejectsPrecondition(storage.put('cond/b.json', Buffer.from('1'), { ifMatch: etag }));
+  assert.equal((await storage.get('cond/a.json')).toString(), '2');
+  assert.equal((await storage.head('cond/a.json')).etag, etag2);
+  assert.deepEqual(
+    (await storage.list('cond/')).map(({ key }) => key),
+    ['cond/a.json'],
+    'no lock or temporary files are left',
+  );
+});
+
+test('only one of concurrent writes with the same etag succeeds', async () => {
+  const storage = getStorage();
+  const { etag } = await storage.put('race/a.json', Buffer.from('0'));
+  const results = await Promise.allSettled(
+    ['1', '2', '3', '4'].map((v) => storage.put('race/a.json', Buffer.from(v), { ifMatch: etag })),
+  );
+  const fulfilled = results.filter((r) => r.status === 'fulfilled');
+  assert.equal(fulfilled.length, 1);
+  results
+    .filter((r) => r.status === 'rejected')
+    .forEach((r) => assert.equal(r.reason.code, 'PreconditionFailed'));
+  assert.equal((await storage.head('race/a.json')).etag, fulfilled[0].value.etag);
+});
+
+test('a stale lock left by a crashed writer is taken over', async () => {
+  const storage = getStorage();
+  const { etag } = await storage.put('stale/a.json', Buffer.from('0'));
+  const lockPath = path.join(storageRoot, 'stale/a.json.lock');
+  await fs.outputFile(lockPath, 'crashed');
+  const past = new Date(Date.now() - 10 * 60 * 1000);
+  await fs.utimes(lockPath, past, past);
+  await storage.put('stale/a.json', Buffer.from('1'), { ifMatch: etag });
+  assert.equal((await storage.get('stale/a.json')).toString(), '1');
+  assert.ok(!fs.pathExistsSync(lockPath));
+});
@@ -0,0 +1,67 @@
+const assert = require('assert').strict;
+const { test } = require('./helpers');
+const { selectVersion, getVSCodeVersionCap } = require('../utils/vsix');
+
+/** Versions of an extension from newest to oldest, as returned by the registries */
+const versions = [
+  { version: '1.5.0', preRelease: true, engine: '^1.96.0' },
+  { version: '1.4.0', preRelease: false, engine: '^1.95.0' },
+  { version: '1.3.0', preRelease: false, engine: '^1.90.0' },
+  { version: '1.2.0', preRelease: false },
+  { version: '1.1.0', preRelease: false, engine: '>=1.80.0 <1.90.0' },
+];
+
+test('selectVersion picks the latest version matching the engine range', async () => {
+  const cases = [
+    [{}, '1.4.0'],
+    [{ preRelease: true }, '1.5.0'],
+    [{ vscodeVersion: '1.96.2', preRelease: true }, '1.5.0'],
+    [{ vscodeVersion: '1.96.2' }, '1.4.0'],
+    [{ vscodeVersion: '1.95.0' }, '1.4.0'],
+    [{ vscodeVersion: '1.94.1' }, '1.3.0'],
+    // versions without `engines.vscode` are never treated as compatible
+    [{ vscodeVersion: '1.85.0' }, '1.1.0'],
+    [{ vscodeVersion: '1.96.2', versionRange: '~1.3.0' }, '1.3.0'],
+    [{ versionRange: '1.2.0' }, '1.2.0'],
+  ];
+  for (const [options, expected] of cases) {
+    assert.equal(
+      selectVersion(versions, 'a.b', options).version,
+      expected,
+      JSON.stringify(options),
+    );
+  }
+});
+
+test('selectVersion rejects when no version matches', async () => {
+  const cases = [
+    [
+      { vscodeVersion: '1.70.0' },
+      /No release version of a\.b is compatible with VSCode 1\.70\.0 \(latest 1\.4\.0 requires \^1\.95\.0\)/,
+    ],
+    [{ versionRange: '^2.0.0' }, /No release version of a\.b matching \^2\.0\.0 found/],
+    [{ vscodeVersion: '1.94.0', versionRange: '^1.4.0' }, /compatible with VSCode 1\.94\.0/],
+  ];
+  for (const [options, message] of cases) {
+    assert.throws(() => selectVersion(versions, 'a.b', options), message, JSON.stringify(options));
+  }
+});
+
+test('getVSCodeVersionCap takes the lowest active client version', async () => {
+  const clientKeys = ['win32-x64', 'win32-arm64', 'darwin-x64', 'darwin-arm64'];
+  const index = {
+    'win32-x64': { version: '1.96.2' },
+    'win32-arm64': { version: '1.96.2' },
+    'darwin-x64': { version: '1.96.0' },
+    'darwin-arm64': { version: '1.95.3', deprecated: { reason: 'test' } },
+    'linux-x64': { version: '1.90.0' },
+    'win32-x64-system': { version: '1.80.0' },
+  };
+  assert.deepEqual(getVSCodeVersionCap(index, clientKeys), {
+    key: 'darwin-x64',
+    version: '1.96.0',
+  });
+  index['darwin-x64'].pinned = { version: '1.96.0', reason: 'test' };
+  assert.deepEqual(getVSCodeVersionCap(index, clientKeys), { key: 'win32-x64', version: '1.96.2' });
+  assert.equal(getVSCodeVersionCap({}, clientKeys), undefined);
+});
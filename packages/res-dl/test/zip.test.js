@@ -0,0 +1,51 @@
+const assert = require('assert').strict;
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { test } = require('./helpers');
+const { ZipReader, ZipWriter, MAX_ZIP_ENTRIES, InvalidZipError } = require('../utils/zip');
+
+test('entries are extracted to disk and checked', async (tmpDir) => {
+  // Larger than a read chunk, and partly incompressible so it spans several chunks compressed
+  const large = Buffer.concat([crypto.randomBytes(3 * 1024 * 1024), Buffer.alloc(1024 * 1024)]);
+  await fs.outputFile(path.join(tmpDir, 'src/large.bin'), large);
+  await fs.outputFile(path.join(tmpDir, 'src/empty.txt'), '');
+  const zipPath = path.join(tmpDir, 'out.zip');
+  const writer = await ZipWriter.create(zipPath);
+  await writer.addDirectory('src');
+  await writer.addFile('src/large.bin', path.join(tmpDir, 'src/large.bin'));
+  await writer.addFile('src/empty.txt', path.join(tmpDir, 'src/empty.txt'));
+  await writer.close();
+
+  const zip = await ZipReader.open(zipPath);
+  try {
+    await zip.extract('src/large.bin', path.join(tmpDir, 'large.bin'));
+    assert.ok(large.equals(await fs.readFile(path.join(tmpDir, 'large.bin'))));
+    await zip.extract('src/empty.txt', path.join(tmpDir, 'empty.txt'));
+    assert.equal((await fs.stat(path.join(tmpDir, 'empty.txt'))).size, 0);
+
+    zip.getEntry('src/large.bin').crc32 ^= 1;
+    await assert.rejects(
+      zip.extract('src/large.bin', path.join(tmpDir, 'corrupted.bin')),
+      (err) =>
+        err instanceof InvalidZipError && /Corrupted data of src\/large\.bin/.test(err.message),
+    );
+  } finally {
+    await zip.close();
+  }
+});
+
+test('zip writer refuses more entries than fit without zip64', async (tmpDir) => {
+  const writer = await ZipWriter.create(path.join(tmpDir, 'out.zip'));
+  try {
+    await writer.addDirectory('a');
+    // Pretend the writer is full instead of writing tens of thousands of entries
+    writer.centralDirectory.length = MAX_ZIP_ENTRIES;
+    await assert.rejects(
+      writer.addDirectory('b'),
+      /exceeds 65534 entries at b\/, which requires zip64/,
+    );
+  } finally {
+    await writer.fh.close();
+  }
+});
@@ -7,11 +7,14 @@ const os = require('os');
 const execa = require('execa');
 const builtin7za = require('../lib/7zip-bin').path7za;
 const { logger } = require('./logger');
+const { ZipReader, ZipWriter, MAX_ZIP_ENTRIES, MAX_ZIP_SIZE, crc32 } = require('./zip');
+const { ArtifactValidationError } = require('./validate');
+const { applyRepack, repackManifest } = require('./repack');
 
 const DEBUG = process.env.CONVERT_7Z_ZIP_DEBUG === '1';
 // const DEBUG = true;
 const log = (...a) => {
-  if (DEBUG) console.error('[convert7zToZip]', ...a);
+  if (DEBUG) console.error('[normalizeArchive]', ...a);
 };
 
 const platformArch = `${process.platform}-${process.arch}`;
@@ -35,8 +38,59 @@ const CANDIDATE_NAMES = [
   '7za',
 ];
 
+/**
+ * 支持的输入格式，按后缀匹配（先匹配的优先）。
+ * type 为 `7z l -slt` 探测到的外层类型；tar 为 true 表示外层解压后还需再解一层 tar
+ */
+const ARCHIVE_FORMATS = [
+  { format: 'tar.gz', suffixes: ['.tar.gz', '.tgz'], type: 'gzip', tar: true },
+  { format: 'tar.xz', suffixes: ['.tar.xz', '.txz'], type: 'xz', tar: true },
+  { format: 'tar.zst', suffixes: ['.tar.zst', '.tzst'], type: 'zstd', tar: true },
+  { format: 'tar', suffixes: ['.tar'], type: 'tar' },
+  { format: 'zip', suffixes: ['.zip'], type: 'zip' },
+  { format: '7z', suffixes: ['.7z'], type: '7z' },
+];
+
+/**
+ * 可复现模式下所有条目统一使用的修改时间。zip 中的 DOS 时间为本地时间，打包时固定 TZ=UTC
+ * 可设置 SOURCE_DATE_EPOCH（秒）覆盖
+ */
+const REPRODUCIBLE_MTIME = new Date(
+  process.env.SOURCE_DATE_EPOCH
+    ? parseInt(process.env.SOURCE_DATE_EPOCH, 10) * 1000
+    : Date.UTC(2000, 0, 1),
+);
+
+/** 清单差异写入错误信息时每类最多列出的条目数 */
+const MAX_DIFF_ITEMS = 20;
+
 const toPosix = (p) => p.split(path.sep).join('/');
 
+/**
+ * 按文件名后缀识别压缩格式
+ * @param {string} fileName
+ * @returns {{ format: string, suffix: string, type: string, tar?: boolean } | undefined} 不支持时为 undefined
+ */
+function detectArchiveFormat(fileName) {
+  const lower = path.basename(fileName).toLowerCase();
+  for (const { suffixes, ...fmt } of ARCHIVE_FORMATS) {
+    const suffix = suffixes.find((s) => lower.endsWith(s));
+    if (suffix) return { ...fmt, suffix };
+  }
+  return undefined;
+}
+
+/**
+ * 规范化后的 zip 文件名：去掉压缩格式后缀（含 .tar.xz 等双后缀）再加 .zip
+ * @param {string} fileName
+ * @returns {string}
+ */
+function getNormalizedFileName(fileName) {
+  const base = path.basename(fileName);
+  const fmt = detectArchiveFormat(base);
+  return (fmt ? base.slice(0, base.length - fmt.suffix.length) : base) + '.zip';
+}
+
 async function ensureExecutable(file) {
   try {
     await fsp.chmod(file, 0o755);
@@ -52,58 +106,198 @@ async function tryCmd(bin, args = ['-version']) {
     const r = await execa(bin, args, { reject: false, all: true });
     const out = `${r.stdout || ''}\n${r.stderr || ''}`;
     const ok = /(7-?Zip|p7zip)/i.test(out);
-    return { ok, exitCode: r.exitCode, out };
+    return { ok, exitCode: r.exitCode, out, code: r.code };
   } catch (e) {
     // ENOENT: 文件不存在；ENOEXEC/Exec format error：架构或 C 库不兼容
     return { ok: false, error: e, code: e && e.code };
   }
 }
 
-async function resolveFromDirs() {
-  for (const dir of CANDIDATE_DIRS) {
-    for (const name of CANDIDATE_NAMES) {
-      const full = path.join(dir, name);
-      if (fs.existsSync(full)) {
-        await ensureExecutable(full);
-        const t = await tryCmd(full, ['-version']);
-        if (t.ok) return { bin: full, version: t.out };
-        log(`候选 ${full} 不可用：${(t.out || t.error || '').toString().slice(0, 120)}`);
-      }
-    }
+/**
+ * @typedef {Object} SevenZipCapabilities
+ * @property {string} bin 可执行文件（完整路径或 PATH 命令名）
+ * @property {'env' | 'dirs' | 'path' | 'builtin'} source 来源：CONVERT_7Z_BIN、自带目录、PATH 或 7zip-bin
+ * @property {boolean} runnable 能否执行（文件不存在、架构或 C 库不兼容时为 false）
+ * @property {string} [version] 版本号，如 25.01
+ * @property {string} [versionOut] `-version` 的原始输出
+ * @property {boolean} p7zip16 是否为 p7zip 16.02（解压新版 7z 时可能 E_FAIL）
+ * @property {boolean} canCreateZip 能否用可复现打包所需的参数（-tzip -mm=Deflate -mx -mmt）生成 zip
+ * @property {boolean} canList `l -slt` 能否列出条目及 CRC
+ * @property {boolean} canExtract 能否解压 zip
+ * @property {string} [error] 不可用的原因
+ */
+
+/**
+ * @typedef {Object} SevenZipReport
+ * @property {SevenZipCapabilities | undefined} chosen 选中的二进制，没有可用的 7z 时为 undefined
+ * @property {SevenZipCapabilities[]} candidates 检查过的候选
+ */
+
+function isCapable(caps) {
+  return caps.runnable && caps.canCreateZip && caps.canList && caps.canExtract;
+}
+
+/**
+ * 只执行 `-version`，检查 7z 能否运行并识别版本
+ * @returns {Promise<SevenZipCapabilities>}
+ */
+async function probe7zVersion(bin, source) {
+  const caps = {
+    bin,
+    source,
+    runnable: false,
+    p7zip16: false,
+    canCreateZip: false,
+    canList: false,
+    canExtract: false,
+  };
+  const t = await tryCmd(bin, ['-version']);
+  if (!t.ok) {
+    caps.error = t.code || (t.out || '').trim().split('\n')[0] || '无法识别为 7-Zip';
+    return caps;
   }
-  return null;
+  caps.runnable = true;
+  caps.version = t.out.match(/(?:7-Zip|p7zip Version)[^\d]*(\d+\.\d+)/i)?.[1];
+  caps.p7zip16 = isP7zip16(t.out);
+  caps.versionOut = t.out;
+  return caps;
 }
 
-async function resolveFromPath() {
-  // 再尝试 PATH（某些运行环境仍会提供 7zz/7z/7za）
-  for (const name of CANDIDATE_NAMES) {
-    const t = await tryCmd(name, ['-version']);
-    if (t.ok) return { bin: name, version: t.out };
+/**
+ * 实际执行打包、列出和解压，检查能运行的 7z 是否支持转换需要的功能，结果写入 caps
+ * @param {SevenZipCapabilities} caps probe7zVersion 的结果
+ * @returns {Promise<SevenZipCapabilities>}
+ */
+async function inspect7zFeatures(caps) {
+  const { bin } = caps;
+  const tmpRoot = await fsp.mkdtemp(path.join(os.tmpdir(), 'conv-7z-caps-'));
+  try {
+    const content = 'algo-bootstrap';
+    await fsp.writeFile(path.join(tmpRoot, 'f.txt'), content);
+    const testZip = path.join(tmpRoot, 't.zip');
+    const r = await execa(bin, ['a', '-tzip', '-mm=Deflate', '-mx=7', '-mmt=1', testZip, 'f.txt'], {
+      cwd: tmpRoot,
+      reject: false,
+    });
+    caps.canCreateZip = r.exitCode === 0;
+    if (!caps.canCreateZip) {
+      // 用内置的 zip 写入继续检查列出和解压
+      const writer = await ZipWriter.create(testZip);
+      await writer.addFile('f.txt', path.join(tmpRoot, 'f.txt'));
+      await writer.close();
+    }
+    const l = await execa(bin, ['l', '-slt', testZip], { reject: false });
+    caps.canList = l.exitCode === 0 && /^CRC = [0-9A-F]{8}$/im.test(l.stdout || '');
+    const outDir = path.join(tmpRoot, 'x');
+    const x = await execa(bin, ['x', testZip, `-o${outDir}`, '-y', '-bd'], { reject: false });
+    caps.canExtract =
+      x.exitCode === 0 &&
+      (await fsp.readFile(path.join(outDir, 'f.txt'), 'utf8').catch(() => '')) === content;
+    if (!isCapable(caps)) {
+      caps.error = [
+        !caps.canCreateZip && `打包失败：${(r.stderr || r.stdout || '').trim().slice(0, 200)}`,
+        !caps.canList && '列出失败',
+        !caps.canExtract && `解压失败：${(x.stderr || x.stdout || '').trim().slice(0, 200)}`,
+      ]
+        .filter(Boolean)
+        .join('；');
+    }
+  } catch (e) {
+    caps.error = e.message;
+  } finally {
+    await fsp.rm(tmpRoot, { recursive: true, force: true }).catch(() => {});
   }
-  return null;
+  return caps;
 }
 
-async function pick7zBinary() {
-  // 1) 精确路径优先
+/**
+ * 按 CONVERT_7Z_BIN、自带目录、PATH、7zip-bin 的顺序列出候选
+ * @returns {{ bin: string, source: SevenZipCapabilities['source'] }[]}
+ */
+function list7zCandidates() {
+  const candidates = [];
   if (process.env.CONVERT_7Z_BIN) {
-    const p = process.env.CONVERT_7Z_BIN;
-    await ensureExecutable(p);
-    const t = await tryCmd(p, ['-version']);
-    if (t.ok) return { bin: p, version: t.out };
-    log(`CONVERT_7Z_BIN 指向的二进制不可用：${p}`);
+    candidates.push({ bin: process.env.CONVERT_7Z_BIN, source: 'env' });
+  }
+  for (const dir of CANDIDATE_DIRS) {
+    for (const name of CANDIDATE_NAMES) {
+      const full = path.join(dir, name);
+      if (fs.existsSync(full)) candidates.push({ bin: full, source: 'dirs' });
+    }
   }
+  // 再尝试 PATH（某些运行环境仍会提供 7zz/7z/7za）
+  for (const name of CANDIDATE_NAMES) candidates.push({ bin: name, source: 'path' });
+  candidates.push({ bin: builtin7za, source: 'builtin' });
+  return candidates;
+}
 
-  // 2) 在自带目录查找（返回**完整路径**）
-  const fromDirs = await resolveFromDirs();
-  if (fromDirs) return fromDirs;
+let reportPromise;
 
-  // 3) 尝试 PATH
-  const fromPath = await resolveFromPath();
-  if (fromPath) return fromPath;
+/**
+ * 检查候选的 7z 并生成能力报告（进程内缓存）。
+ * 先只用 `-version` 依次探测候选，对第一个能运行且不是 p7zip 16.02 的候选检查功能，功能完整时即停止；
+ * 都不满足时再检查 p7zip 16.02，最后退而选择至少能解压的候选（打包由内置的 zip 写入完成）。
+ * 冷启动时通常只需对一个候选执行打包、列出和解压
+ * @returns {Promise<SevenZipReport>}
+ */
+function get7zReport() {
+  if (!reportPromise) {
+    reportPromise = (async () => {
+      const candidates = [];
+      /** @type {SevenZipCapabilities[]} 推迟检查功能的 p7zip 16.02 */
+      const deferred = [];
+      const inspect = async (caps) => {
+        await inspect7zFeatures(caps);
+        if (!isCapable(caps)) log(`候选 ${caps.bin} 不可用：${caps.error}`);
+        return isCapable(caps);
+      };
+      let found = false;
+      for (const { bin, source } of list7zCandidates()) {
+        if (source !== 'path') await ensureExecutable(bin);
+        const caps = await probe7zVersion(bin, source);
+        // PATH 中不存在的命令不计入报告
+        if (source === 'path' && caps.error === 'ENOENT') continue;
+        candidates.push(caps);
+        if (!caps.runnable) {
+          log(`候选 ${bin} 不可用：${caps.error}`);
+        } else if (caps.p7zip16) {
+          deferred.push(caps);
+        } else if (await inspect(caps)) {
+          found = true;
+          break;
+        }
+      }
+      for (const caps of found ? [] : deferred) {
+        if (await inspect(caps)) break;
+      }
+      const chosen =
+        candidates.find((c) => isCapable(c) && !c.p7zip16) ||
+        candidates.find(isCapable) ||
+        candidates.find((c) => c.canExtract);
+      return { chosen, candidates };
+    })();
+  }
+  return reportPromise;
+}
+
+/**
+ * 能力报告的简短描述，用于日志和错误信息
+ * @param {SevenZipReport} report
+ * @returns {string}
+ */
+function formatReport({ chosen, candidates }) {
+  const describe = (c) =>
+    `${c.bin}（${c.source}${c.version ? `，${c.p7zip16 ? 'p7zip ' : ''}${c.version}` : ''}）` +
+    (isCapable(c) ? '可用' : `不可用：${c.error || '未知原因'}`);
+  return [`选中：${chosen ? chosen.bin : '无'}`, ...candidates.map((c) => `  ${describe(c)}`)].join(
+    '\n',
+  );
+}
 
-  // 4) 兜底用 7zip-bin 的 7za
-  const t = await tryCmd(builtin7za, ['-version']);
-  return { bin: builtin7za, version: t.out || '' };
+async function pick7zBinary() {
+  const report = await get7zReport();
+  const { chosen } = report;
+  return { bin: chosen?.bin, version: chosen?.versionOut || '', caps: chosen, report };
 }
 
 async function run(bin, args, opts = {}) {
@@ -130,7 +324,8 @@ async function probe(sevenZipBin, filePath) {
   const looksInvalid =
     /Can not open file as archive/i.test(all) ||
     ((/Errors:\s*\d+/i.test(all) || /Warnings:\s*\d+/i.test(all)) && exitCode !== 0);
-  const isType7z = /Type\s*=\s*7z/i.test(all);
+  const mType = all.match(/^\s*Type\s*=\s*(\S+)/im);
+  const type = mType ? mType[1].toLowerCase() : undefined;
   const isEncrypted = detectPassword(all);
   const mFiles = all.match(/^\s*Files\s*=\s*(\d+)/im);
   const mFolders = all.match(/^\s*Folders\s*=\s*(\d+)/im);
@@ -138,8 +333,8 @@ async function probe(sevenZipBin, filePath) {
   const folderCount = mFolders ? parseInt(mFolders[1], 10) : undefined;
   log('--- PROBE ---');
   log(
-    'isType7z=',
-    isType7z,
+    'type=',
+    type,
     'isEncrypted=',
     isEncrypted,
     'looksInvalid=',
@@ -149,7 +344,19 @@ async function probe(sevenZipBin, filePath) {
     'folders=',
     folderCount,
   );
-  return { exitCode, all, isType7z, looksInvalid, isEncrypted, fileCount, folderCount };
+  return { exitCode, all, type, looksInvalid, isEncrypted, fileCount, folderCount };
+}
+
+function assertProbe(pr, format, type) {
+  if (pr.isEncrypted) throw new Error(`该 ${format} 压缩包已加密或需要密码，当前不支持处理。`);
+  if (pr.type !== type || pr.looksInvalid || pr.exitCode !== 0) {
+    if (type === 'zstd' && /Can not open (the )?file as/i.test(pr.all)) {
+      throw new Error(
+        `当前 7z 无法识别 zstd 压缩的文件，请提供支持 zstd 的官方 7-Zip（7zz），或用 CONVERT_7Z_BIN 指定。`,
+      );
+    }
+    throw new Error(`不是有效的 ${format} 文件或已损坏。`);
+  }
 }
 
 async function listAllRelativeEntries(rootDir) {
@@ -169,6 +376,55 @@ async function listAllRelativeEntries(rootDir) {
   return entries;
 }
 
+/**
+ * 按路径的字节序排序，不受 locale 和文件系统遍历顺序影响
+ */
+function sortEntries(entries) {
+  return [...entries].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
+/**
+ * 统一条目的权限和时间戳：目录和可执行文件为 755，其余文件为 644，时间为 REPRODUCIBLE_MTIME
+ * @param {string} rootDir
+ * @param {string[]} entries 已排序的条目
+ */
+async function normalizeEntries(rootDir, entries) {
+  // 逆序处理，先子条目后目录，避免修改子条目后目录时间被更新
+  for (const rel of [...entries].reverse()) {
+    const abs = path.join(rootDir, rel);
+    const st = await fsp.lstat(abs);
+    if (st.isSymbolicLink()) continue;
+    const mode = st.isDirectory() || st.mode & 0o111 ? 0o755 : 0o644;
+    await fsp.chmod(abs, mode);
+    await fsp.utimes(abs, REPRODUCIBLE_MTIME, REPRODUCIBLE_MTIME);
+  }
+}
+
+/**
+ * 可复现模式打包：固定 Deflate 和压缩级别、单线程，不保存创建/访问时间
+ */
+async function addZipWith7zReproducible(sevenZipBin, outZip, entries, cwd) {
+  logger.info('addZipWith7z (reproducible) to:', outZip);
+  const base = ['a', '-tzip', '-mm=Deflate', '-mx=7', '-mmt=1'];
+  const opts = { cwd, env: { TZ: 'UTC' } };
+  // 新版 7z 用 -mtc/-mta 关闭创建/访问时间；p7zip 16.02 只认 -mtc=off（同时关闭 NTFS 时间戳字段）
+  const timeArgsList = [['-mtc=off', '-mta=off'], ['-mtc=off'], []];
+  let r;
+  for (const timeArgs of timeArgsList) {
+    r = await run(sevenZipBin, [...base, ...timeArgs, outZip, ...entries], opts);
+    if (
+      r.exitCode === 0 ||
+      !/E_INVALIDARG|Unsupported switch|Incorrect command line/i.test(r.all)
+    ) {
+      break;
+    }
+  }
+
+  if (r.exitCode !== 0) {
+    throw new Error(`打包 zip 失败（exitCode=${r.exitCode}）\n${r.all}`);
+  }
+}
+
 async function addZipWith7z(sevenZipBin, outZip, entries, cwd) {
   logger.info('addZipWith7z to:', outZip);
   const mmtArg = `-mmt=${coreNum}`; // 多线程：按逻辑核数
@@ -197,19 +453,329 @@ async function addZipWith7z(sevenZipBin, outZip, entries, cwd) {
   }
 }
 
-async function verifyZip(sevenZipBin, outZip) {
-  const { all } = await run(sevenZipBin, ['l', '-slt', outZip]);
-  const mFiles = all.match(/^\s*Files\s*=\s*(\d+)/im);
-  const mFolders = all.match(/^\s*Folders\s*=\s*(\d+)/im);
-  const files = mFiles ? parseInt(mFiles[1], 10) : 0;
-  const folders = mFolders ? parseInt(mFolders[1], 10) : 0;
+/**
+ * @typedef {Object} ManifestEntry
+ * @property {string} path 条目路径（以 / 分隔，目录不带结尾的 /）
+ * @property {boolean} dir 是否为目录
+ * @property {number} size 解压后的大小
+ * @property {string} [crc] CRC32（8 位大写十六进制），归档未记录时为 undefined
+ */
+
+/**
+ * 用 `7z l -slt` 列出压缩包内容清单
+ * @returns {Promise<Map<string, ManifestEntry>>} 按路径索引的清单
+ */
+async function listManifest(sevenZipBin, archivePath) {
+  const { exitCode, all } = await run(sevenZipBin, ['l', '-slt', archivePath]);
+  if (exitCode !== 0) throw new Error(`读取压缩包清单失败（exitCode=${exitCode}）：${archivePath}`);
+  const manifest = new Map();
+  // 分隔线之前是压缩包本身的信息，之后每个条目一段，以空行分隔
+  const body = all.slice(all.search(/^-{10}$/m) + 10);
+  for (const block of body.split(/\r?\n\s*\r?\n/)) {
+    const props = {};
+    for (const line of block.split(/\r?\n/)) {
+      const m = line.match(/^([\w ]+?) = (.*)$/);
+      if (m) props[m[1]] = m[2].trim();
+    }
+    if (!props.Path) continue;
+    const entryPath = props.Path.replace(/\\/g, '/')
+      .replace(/^(\.\/)+/, '')
+      .replace(/\/+$/, '');
+    if (!entryPath) continue;
+    const dir = props.Folder === '+' || /^D/.test(props.Attributes || '');
+    manifest.set(entryPath, {
+      path: entryPath,
+      dir,
+      size: dir ? 0 : parseInt(props.Size || '0', 10),
+      crc: !dir && props.CRC ? props.CRC.toUpperCase().padStart(8, '0') : undefined,
+    });
+  }
+  return manifest;
+}
+
+/**
+ * 计算文件的 CRC32
+ */
+async function crc32File(file) {
+  let crc = 0;
+  for await (const chunk of fs.createReadStream(file)) crc = crc32(chunk, crc);
+  return crc.toString(16).toUpperCase().padStart(8, '0');
+}
+
+/**
+ * 复制文件或目录，跟随其中的符号链接
+ */
+async function copyResolved(src, dest) {
+  const st = await fsp.stat(src);
+  if (!st.isDirectory()) {
+    await fsp.copyFile(src, dest);
+    await fsp.chmod(dest, st.mode & 0o777);
+    return;
+  }
+  await fsp.mkdir(dest, { recursive: true });
+  for (const name of await fsp.readdir(src)) {
+    await copyResolved(path.join(src, name), path.join(dest, name));
+  }
+}
+
+/**
+ * 将解压结果中的符号链接替换为其指向的文件或目录的副本，并更新清单中对应的条目。
+ * 客户端解压的 zip 不保留符号链接，7z（未加 -snl）和内置的 zip 写入打包时也都会跟随链接
+ * @param {string} rootDir 解压目录
+ * @param {Map<string, ManifestEntry>} manifest 源压缩包的清单
+ * @throws {Error} 链接指向的路径不存在、在压缩包之外或包含链接本身时
+ */
+async function resolveSymlinks(rootDir, manifest) {
+  const links = [];
+  async function walk(rel) {
+    const st = await fsp.lstat(path.join(rootDir, rel));
+    if (st.isSymbolicLink()) {
+      links.push(rel);
+    } else if (st.isDirectory()) {
+      for (const n of await fsp.readdir(path.join(rootDir, rel))) await walk(path.join(rel, n));
+    }
+  }
+  await walk('');
+  if (!links.length) return;
+
+  // 副本中的条目替换清单中的链接
+  async function addToManifest(rel) {
+    const entryPath = toPosix(rel);
+    const st = await fsp.stat(path.join(rootDir, rel));
+    if (st.isDirectory()) {
+      manifest.set(entryPath, { path: entryPath, dir: true, size: 0, crc: undefined });
+      for (const n of await fsp.readdir(path.join(rootDir, rel))) {
+        await addToManifest(path.join(rel, n));
+      }
+    } else {
+      manifest.set(entryPath, {
+        path: entryPath,
+        dir: false,
+        size: st.size,
+        crc: await crc32File(path.join(rootDir, rel)),
+      });
+    }
+  }
+
+  const realRoot = await fsp.realpath(rootDir);
+  for (const rel of links) {
+    const linkPath = toPosix(rel);
+    const abs = path.join(rootDir, rel);
+    const target = await fsp.realpath(abs).catch(() => null);
+    if (!target) throw new Error(`符号链接 ${linkPath} 指向的路径不存在`);
+    const targetRel = toPosix(path.relative(realRoot, target));
+    if (!targetRel || targetRel.startsWith('../') || path.isAbsolute(targetRel)) {
+      throw new Error(`符号链接 ${linkPath} 指向压缩包之外`);
+    }
+    if (`${linkPath}/`.startsWith(`${targetRel}/`)) {
+      throw new Error(`符号链接 ${linkPath} 指向了包含它自身的目录`);
+    }
+    await fsp.unlink(abs);
+    await copyResolved(target, abs);
+    log(`resolved symlink: ${linkPath} -> ${targetRel}`);
+
+    await addToManifest(rel);
+  }
+  logger.info(`resolved ${links.length} symlinks`);
+}
+
+/**
+ * 不依赖 7z，用内置的 zip 读取列出 zip 的清单
+ * @returns {Promise<Map<string, ManifestEntry>>}
+ */
+async function listZipManifest(zipPath) {
+  const zip = await ZipReader.open(zipPath);
+  try {
+    const manifest = new Map();
+    for (const e of zip.entries) {
+      const entryPath = e.name.replace(/\\/g, '/').replace(/\/+$/, '');
+      if (!entryPath) continue;
+      const dir = e.name.endsWith('/');
+      manifest.set(entryPath, {
+        path: entryPath,
+        dir,
+        size: dir ? 0 : e.size,
+        crc: dir ? undefined : e.crc32.toString(16).toUpperCase().padStart(8, '0'),
+      });
+    }
+    return manifest;
+  } finally {
+    await zip.close();
+  }
+}
+
+/**
+ * 不依赖 7z，用内置的 zip 读取检查 zip 是否有效、是否加密
+ */
+async function probeZip(filePath) {
+  let zip;
+  try {
+    zip = await ZipReader.open(filePath);
+  } catch (e) {
+    throw new Error(`不是有效的 zip 文件或已损坏。${e.message}`);
+  }
+  try {
+    if (zip.entries.some((e) => e.flags & 0x1)) {
+      throw new Error('该 zip 压缩包已加密或需要密码，当前不支持处理。');
+    }
+  } finally {
+    await zip.close();
+  }
+}
+
+/**
+ * 不依赖 7z，用内置的 zip 读取解压（仅支持 stored/deflate）。条目流式写入磁盘，不会整个读入内存
+ */
+async function extractZipWithReader(filePath, outDir) {
+  logger.info('extracting zip without 7z to:', outDir);
+  const zip = await ZipReader.open(filePath);
+  try {
+    for (const e of zip.entries) {
+      const rel = path.posix.normalize(e.name.replace(/\\/g, '/'));
+      if (path.posix.isAbsolute(rel) || rel.split('/').includes('..')) {
+        throw new Error(`zip 中的路径不安全：${e.name}`);
+      }
+      const dest = path.join(outDir, rel);
+      if (e.name.endsWith('/')) {
+        await fsp.mkdir(dest, { recursive: true });
+      } else {
+        await fsp.mkdir(path.dirname(dest), { recursive: true });
+        await zip.extract(e, dest);
+      }
+    }
+  } finally {
+    await zip.close();
+  }
+}
+
+/**
+ * 不依赖 7z，用内置的 zip 写入打包。结果总是可复现的（条目排序、统一时间戳和权限）。
+ * 内置的 zip 写入不支持 zip64，条目数或未压缩的总大小超过上限时直接拒绝
+ */
+async function addZipWithWriter(outZip, entries, cwd) {
+  logger.info('addZipWithWriter to:', outZip);
+  const stats = new Map();
+  let totalSize = 0;
+  for (const entry of entries) {
+    const st = await fsp.stat(path.join(cwd, entry));
+    stats.set(entry, st);
+    if (st.isFile()) totalSize += st.size;
+  }
+  if (entries.length > MAX_ZIP_ENTRIES || totalSize > MAX_ZIP_SIZE) {
+    throw new Error(
+      `内容过大（${entries.length} 个条目，共 ${totalSize} 字节），需要 zip64，` +
+        `内置的 zip 写入最多支持 ${MAX_ZIP_ENTRIES} 个条目、${MAX_ZIP_SIZE} 字节。` +
+        '请通过 CONVERT_7Z_BIN 提供能打包 zip 的 7-Zip',
+    );
+  }
+  const writer = await ZipWriter.create(outZip, { mtime: REPRODUCIBLE_MTIME });
+  try {
+    for (const entry of sortEntries(entries)) {
+      const st = stats.get(entry);
+      const mode = st.isDirectory() || st.mode & 0o111 ? 0o755 : 0o644;
+      if (entry.endsWith('/')) {
+        await writer.addDirectory(entry, mode);
+      } else {
+        await writer.addFile(entry, path.join(cwd, entry), mode);
+      }
+    }
+  } finally {
+    await writer.close();
+  }
+}
+
+/**
+ * 为未记录 CRC 的文件条目（如 tar）补上解压结果的 CRC32
+ * @param {Map<string, ManifestEntry>} manifest
+ * @param {string} rootDir 解压目录
+ */
+async function fillManifestCrc(manifest, rootDir) {
+  for (const entry of manifest.values()) {
+    if (entry.dir || entry.crc !== undefined) continue;
+    entry.crc = await crc32File(path.join(rootDir, entry.path)).catch(() => undefined);
+  }
+}
+
+/**
+ * 比较两份清单。actual 中作为 expected 条目上级的目录（打包时补上的）不算多余
+ * @param {Map<string, ManifestEntry>} expected
+ * @param {Map<string, ManifestEntry>} actual
+ * @returns {{ missing: string[], extra: string[], mismatched: string[] }} mismatched 为差异描述
+ */
+function diffManifests(expected, actual) {
+  const parents = new Set();
+  for (const p of expected.keys()) {
+    for (let i = p.indexOf('/'); i !== -1; i = p.indexOf('/', i + 1)) parents.add(p.slice(0, i));
+  }
+  const missing = [];
+  const extra = [];
+  const mismatched = [];
+  for (const [p, e] of expected) {
+    const a = actual.get(p);
+    if (!a) {
+      missing.push(p);
+      continue;
+    }
+    const diffs = [];
+    if (e.dir !== a.dir) diffs.push(`dir ${e.dir} != ${a.dir}`);
+    if (e.size !== a.size) diffs.push(`size ${e.size} != ${a.size}`);
+    if (e.crc !== undefined && a.crc !== undefined && e.crc !== a.crc) {
+      diffs.push(`crc ${e.crc} != ${a.crc}`);
+    }
+    if (diffs.length) mismatched.push(`${p}: ${diffs.join(', ')}`);
+  }
+  for (const [p, a] of actual) {
+    if (!expected.has(p) && !(a.dir && parents.has(p))) extra.push(p);
+  }
+  return { missing, extra, mismatched };
+}
+
+function formatManifestDiff({ missing, extra, mismatched }) {
+  const section = (title, items) => {
+    if (!items.length) return [];
+    const lines = items.slice(0, MAX_DIFF_ITEMS).map((item) => `  ${item}`);
+    if (items.length > MAX_DIFF_ITEMS) lines.push(`  ...(+${items.length - MAX_DIFF_ITEMS})`);
+    return [`${title}（${items.length}）：`, ...lines];
+  };
+  return [
+    ...section('缺少', missing),
+    ...section('多余', extra),
+    ...section('不一致', mismatched),
+  ].join('\n');
+}
+
+/**
+ * 校验生成的 zip 与源压缩包的清单一致（路径、大小、CRC32、是否目录）
+ * @param {SevenZipCapabilities | undefined} caps 7z 不能列出时用内置的 zip 读取
+ * @param {Map<string, ManifestEntry>} expected 源压缩包的清单
+ * @throws {ArtifactValidationError} 存在缺少、多余或不一致的条目时
+ */
+async function verifyZip(caps, outZip, expected) {
+  const actual = caps?.canList
+    ? await listManifest(caps.bin, outZip)
+    : await listZipManifest(outZip);
+  const values = [...actual.values()];
+  const folders = values.filter((e) => e.dir).length;
+  const files = values.length - folders;
   log('--- VERIFY ZIP --- files=', files, 'folders=', folders);
+  const diff = diffManifests(expected, actual);
+  if (diff.missing.length || diff.extra.length || diff.mismatched.length) {
+    throw new ArtifactValidationError(
+      `生成的 zip 与源压缩包内容不一致：\n${formatManifestDiff(diff)}`,
+    );
+  }
+  logger.info(`zip verified: ${files} files, ${folders} folders`);
   return { files, folders };
 }
 
 async function extractWith7z(sevenZipBin, filePath, outDir, versionOut) {
-  logger.info('extracting 7z to workDir:', outDir);
-  const r = await run(sevenZipBin, ['x', filePath, `-o${outDir}`, '-y', '-bd']);
+  logger.info('extracting archive to:', outDir);
+  const args = ['x', filePath, `-o${outDir}`, '-y', '-bd'];
+  let r = await run(sevenZipBin, args);
+  // 新版 7z 默认跳过指向上级目录的链接（如 bin/gcc -> ../lib/gcc），resolveSymlinks 会检查链接不指向压缩包之外
+  if (r.exitCode !== 0 && /Dangerous link path/i.test(r.all)) {
+    r = await run(sevenZipBin, [...args, '-snld']);
+  }
   if (r.exitCode !== 0) {
     if (/E_FAIL/i.test(r.all) && isP7zip16(versionOut)) {
       throw new Error(
@@ -223,41 +789,93 @@ async function extractWith7z(sevenZipBin, filePath, outDir, versionOut) {
 }
 
 /**
- * 将 .7z 转为 .zip
- * @param {string} filePath 输入 7z 路径
- * @param {string} [outputPath] 输出 zip 路径（未给则同名同目录）
+ * 按格式解压到 workDir；压缩的 tar 先解出外层的 tar 再解 tar。没有能解压的 7z 时 zip 用内置的 zip 读取
+ * @param {SevenZipCapabilities | undefined} caps
+ * @returns {Promise<Map<string, ManifestEntry>>} 源压缩包（压缩的 tar 为内层 tar）的清单
+ */
+async function extractArchive(caps, filePath, fmt, tmpRoot, workDir) {
+  if (!caps?.canExtract && fmt.format === 'zip') {
+    const manifest = await listZipManifest(filePath);
+    await extractZipWithReader(filePath, workDir);
+    return manifest;
+  }
+  const { bin: sevenZipBin, versionOut } = caps;
+  if (!fmt.tar) {
+    const manifest = await listManifest(sevenZipBin, filePath);
+    await extractWith7z(sevenZipBin, filePath, workDir, versionOut);
+    await fillManifestCrc(manifest, workDir);
+    return manifest;
+  }
+  const tarDir = path.join(tmpRoot, 't');
+  await extractWith7z(sevenZipBin, filePath, tarDir, versionOut);
+  const names = await fsp.readdir(tarDir);
+  if (names.length !== 1) {
+    throw new Error(`${fmt.format} 文件解压后应只包含一个 tar，实际有 ${names.length} 个文件`);
+  }
+  const tarPath = path.join(tarDir, names[0]);
+  const tpr = await probe(sevenZipBin, tarPath);
+  assertProbe(tpr, 'tar', 'tar');
+  const manifest = await listManifest(sevenZipBin, tarPath);
+  await extractWith7z(sevenZipBin, tarPath, workDir, versionOut);
+  await fsp.rm(tarDir, { recursive: true, force: true });
+  // tar 不记录 CRC，用解压结果补上，至少保证打包前后一致
+  await fillManifestCrc(manifest, workDir);
+  return manifest;
+}
+
+/**
+ * 将压缩包（7z、zip、tar、tar.gz、tar.xz、tar.zst）规范化为客户端使用的 zip
+ *
+ * 默认使用可复现模式：条目按路径排序，统一时间戳和权限，固定压缩参数，
+ * 同样的内容总是生成字节相同的 zip，避免重新转换后被索引视为更新
+ * @param {string} filePath 输入压缩包路径
+ * @param {string} [outputPath] 输出 zip 路径（未给则同目录，去掉原后缀加 .zip）
+ * @param {Object} [options]
+ * @param {boolean} [options.reproducible=true] 为 false 时保留原始时间戳并多线程压缩
+ * @param {import('./repack').RepackRules} [options.repack] 解压后、打包前应用的裁剪和调整规则
+ * @param {Record<string, string>} [options.variables] repack.files 中 {{name}} 占位符的值
  * @returns {Promise<string>} 生成的 zip 路径
  */
-async function convert7zToZip(filePath, outputPath) {
+async function normalizeArchive(
+  filePath,
+  outputPath,
+  { reproducible = true, repack, variables } = {},
+) {
   const _start = Date.now();
   log('Node', process.version, process.platform, process.arch);
 
-  // 选择 7z 可执行文件（返回**完整路径**或 PATH 命令名）
-  let { bin: sevenZipBin, version } = await pick7zBinary();
-  logger.info('using 7z candidate:', sevenZipBin);
+  // 选择 7z 可执行文件（返回**完整路径**或 PATH 命令名），没有可用的 7z 时 zip 的读写改用内置实现
+  const { bin: sevenZipBin, version, caps, report } = await pick7zBinary();
+  logger.info('7z capabilities>\n' + formatReport(report));
   if (version) logger.info('7z version>\n' + version.trim());
 
   // 1) 基础校验
   if (typeof filePath !== 'string' || !filePath.trim()) throw new Error('filePath 不能为空');
   const st = await fsp.stat(filePath).catch(() => null);
   if (!st || !st.isFile()) throw new Error(`找不到文件：${filePath}`);
-  const ext = path.extname(filePath).toLowerCase();
-  if (ext !== '.7z') throw new Error('仅支持 .7z 文件');
-
-  // 2) 探测有效性/加密
-  const pr = await probe(sevenZipBin, filePath);
-  log('probe result:', pr);
-  if (pr.isEncrypted) throw new Error('该 7z 压缩包已加密或需要密码，当前不支持处理。');
-  if (!pr.isType7z || pr.looksInvalid || pr.exitCode !== 0) {
-    throw new Error('不是有效的 7z 文件或已损坏。');
+  const fmt = detectArchiveFormat(filePath);
+  if (!fmt) {
+    const supported = ARCHIVE_FORMATS.flatMap((f) => f.suffixes).join(', ');
+    throw new Error(`不支持的压缩格式：${path.basename(filePath)}（仅支持 ${supported}）`);
+  }
+  logger.info('archive format:', fmt.format);
+
+  // 2) 探测有效性/加密（压缩的 tar 探测的是外层，内层 tar 在解压时再探测）
+  let pr;
+  if (caps?.canList) {
+    pr = await probe(sevenZipBin, filePath);
+    log('probe result:', pr);
+    assertProbe(pr, fmt.format, fmt.type);
+  } else if (fmt.format === 'zip') {
+    await probeZip(filePath);
+  } else {
+    throw new Error(`没有可用的 7z，无法处理 ${fmt.format} 文件。\n${formatReport(report)}`);
   }
 
   // 3) 输出路径
   let outZip = outputPath;
   if (!outZip) {
-    const dir = path.dirname(filePath);
-    const base = path.basename(filePath, ext);
-    outZip = path.join(dir, `${base}.zip`);
+    outZip = path.join(path.dirname(filePath), getNormalizedFileName(filePath));
   } else if (path.extname(outZip).toLowerCase() !== '.zip') {
     outZip = outZip + '.zip';
   }
@@ -268,14 +886,38 @@ async function convert7zToZip(filePath, outputPath) {
   const workDir = path.join(tmpRoot, 'w');
   await fsp.mkdir(workDir, { recursive: true });
   logger.info('workDir:', workDir);
+  // 先在临时目录生成，避免追加到已存在的 zip，也允许输出覆盖输入的 zip
+  const tmpZip = path.join(tmpRoot, 'out.zip');
 
   try {
     // 5) 解压（仅用 7z；若是 p7zip 16.02 可能 E_FAIL，会提示换 7zz）
-    await extractWith7z(sevenZipBin, filePath, workDir, version);
+    const sourceManifest = await extractArchive(caps, filePath, fmt, tmpRoot, workDir);
+    await resolveSymlinks(workDir, sourceManifest);
 
     // 6) 收集条目（显式列举，含空目录）
-    const entries = await listAllRelativeEntries(workDir);
+    let packDir = workDir;
+    let expectedManifest = sourceManifest;
+    let entries = await listAllRelativeEntries(workDir);
     logger.info(`entries found: ${entries.length}`);
+
+    // 6.1) 按规则裁剪、调整目录结构并注入文件，校验时的预期清单同样按规则变换
+    if (repack) {
+      packDir = path.join(tmpRoot, 'r');
+      const repackEntries = entries.map((e) => ({
+        path: e.replace(/\/$/, ''),
+        dir: e.endsWith('/'),
+      }));
+      const removed = await applyRepack(workDir, packDir, repackEntries, repack, variables);
+      logger.info(`repacked: ${removed} entries removed`);
+      expectedManifest = repackManifest(sourceManifest, repack, variables);
+      entries = await listAllRelativeEntries(packDir);
+    }
+
+    if (reproducible) {
+      entries = sortEntries(entries);
+      await normalizeEntries(packDir, entries);
+    }
+    const addZip = reproducible ? addZipWith7zReproducible : addZipWith7z;
     if (entries.length) {
       const preview = entries.slice(0, 40);
       log(
@@ -284,46 +926,78 @@ async function convert7zToZip(filePath, outputPath) {
           (entries.length > preview.length ? `\n  ...(+${entries.length - preview.length})` : ''),
       );
     } else {
-      log('警告：工作目录为空！(probe.files=' + (pr.fileCount ?? 'unknown') + ')');
+      log('警告：工作目录为空！(probe.files=' + (pr?.fileCount ?? 'unknown') + ')');
     }
 
-    // 7) 打包 zip（用 7z）
+    // 7) 打包 zip（用 7z，不支持需要的参数时用内置的 zip 写入）
     logger.info(`creating zip with ${entries.length} entries`);
-    if (entries.length === 0) {
+    if (!caps?.canCreateZip) {
+      await addZipWithWriter(tmpZip, entries, packDir);
+    } else if (entries.length === 0) {
       // 真·空包：占位后再删，得到空 zip
       const placeholder = '.zip_empty_placeholder';
-      await fsp.writeFile(path.join(workDir, placeholder), '');
-      await addZipWith7z(sevenZipBin, outZip, [placeholder], workDir);
-      await run(sevenZipBin, ['d', outZip, placeholder]); // 忽略返回码
+      await fsp.writeFile(path.join(packDir, placeholder), '');
+      if (reproducible) await normalizeEntries(packDir, [placeholder]);
+      await addZip(sevenZipBin, tmpZip, [placeholder], packDir);
+      await run(sevenZipBin, ['d', tmpZip, placeholder]); // 忽略返回码
     } else {
-      await addZipWith7z(sevenZipBin, outZip, entries, workDir);
+      await addZip(sevenZipBin, tmpZip, entries, packDir);
     }
 
     // 8) 校验
-    logger.info('verifying zip:', outZip);
-    await verifyZip(sevenZipBin, outZip);
-    const zst = await fsp.stat(outZip).catch(() => null);
+    const zst = await fsp.stat(tmpZip).catch(() => null);
     if (!zst || !zst.isFile()) throw new Error('生成 zip 失败（未找到输出文件）');
+    logger.info('verifying zip:', tmpZip);
+    await verifyZip(caps, tmpZip, expectedManifest);
+    await fsp.copyFile(tmpZip, outZip);
 
-    logger.info('convert7zToZip finished in', Date.now() - _start, 'ms');
+    logger.info('normalizeArchive finished in', Date.now() - _start, 'ms');
     return outZip;
   } finally {
     await fsp.rm(tmpRoot, { recursive: true, force: true }).catch(() => {});
   }
 }
 
-module.exports = { convert7zToZip };
+/**
+ * 将 .7z 转为 .zip
+ * @deprecated 使用 normalizeArchive，它同样接受 .7z
+ * @param {string} filePath 输入 7z 路径
+ * @param {string} [outputPath] 输出 zip 路径（未给则同名同目录）
+ * @param {Object} [options] 同 normalizeArchive
+ * @returns {Promise<string>} 生成的 zip 路径
+ */
+async function convert7zToZip(filePath, outputPath, options) {
+  if (detectArchiveFormat(filePath)?.format !== '7z') throw new Error('仅支持 .7z 文件');
+  return normalizeArchive(filePath, outputPath, options);
+}
+
+module.exports = {
+  ARCHIVE_FORMATS,
+  get7zReport,
+  detectArchiveFormat,
+  getNormalizedFileName,
+  normalizeArchive,
+  convert7zToZip,
+};
 
 if (require.main === module) {
   (async () => {
-    const inPath = process.argv[2];
-    const outPath = process.argv[3];
+    if (process.argv[2] === '--capabilities') {
+      const report = await get7zReport();
+      console.log(formatReport(report));
+      console.log(JSON.stringify(report, (k, v) => (k === 'versionOut' ? undefined : v), 2));
+      process.exit(report.chosen && isCapable(report.chosen) ? 0 : 3);
+    }
+    const [inPath, outPath] = process.argv.slice(2);
     if (!inPath) {
-      console.error('用法: node convert7zToZip.js <input.7z> [output.zip]');
+      console.error(
+        '用法: node 7z-to-zip.js <input.7z|.zip|.tar[.gz|.xz|.zst]> [output.zip]\n' +
+          '      node 7z-to-zip.js --capabilities',
+      );
       process.exit(1);
     }
     try {
-      const out = await convert7zToZip(inPath, outPath);
+      const out = await normalizeArchive(inPath, outPath);
       logger.info('转换成功 ->', out);
     } catch (err) {
       console.error('转换失败：', err && err.message ? err.message : err);
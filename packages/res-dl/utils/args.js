@@ -12,6 +12,84 @@ function getScfArgs(event) {
   return event;
 }
 
+function checkArgType(value, type) {
+  switch (type) {
+    case 'string[]':
+      return Array.isArray(value) && value.every((v) => typeof v === 'string');
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Validate and normalize args against the arg definitions of a task
+ * @param {Record<string, any>} args - Args including `type`
+ * @param {import('./task').TaskDefinition} task
+ * @returns {Record<string, any>} Normalized args
+ */
+function validateTaskArgs(args, task) {
+  const defs = task.args;
+  const unknownArgs = Object.keys(args).filter((name) => name !== 'type' && !defs[name]);
+  if (unknownArgs.length > 0) {
+    const supported = Object.keys(defs);
+    throw new Error(
+      `Unknown args for task ${task.name}: ${unknownArgs.join(', ')} (supported: ${
+        supported.length > 0 ? supported.join(', ') : 'none'
+      })`,
+    );
+  }
+
+  const normalized = { ...args };
+  for (const [name, def] of Object.entries(defs)) {
+    let value = normalized[name];
+    if (value === undefined || value === null) {
+      if (def.required) {
+        throw new Error(`Missing required arg for task ${task.name}: ${name}`);
+      }
+      delete normalized[name];
+      continue;
+    }
+    // allow comma-separated strings for array args, which is handy in timer arguments and CLI
+    if (def.type === 'string[]' && typeof value === 'string') {
+      value = value
+        .split(',')
+        .map((v) => v.trim())
+        .filter(Boolean);
+    }
+    // same for numeric strings of number args
+    if (
+      def.type === 'number' &&
+      typeof value === 'string' &&
+      value.trim() &&
+      !Number.isNaN(Number(value))
+    ) {
+      value = Number(value);
+    }
+    if (!checkArgType(value, def.type)) {
+      throw new Error(
+        `Invalid arg ${name} for task ${task.name}: expected ${def.type}, got ${JSON.stringify(
+          value,
+        )}`,
+      );
+    }
+    if (def.enum) {
+      const invalidValues = (Array.isArray(value) ? value : [value]).filter(
+        (v) => !def.enum.includes(v),
+      );
+      if (invalidValues.length > 0) {
+        throw new Error(
+          `Invalid arg ${name} for task ${task.name}: ${invalidValues.join(
+            ', ',
+          )} (allowed: ${def.enum.join(', ')})`,
+        );
+      }
+    }
+    normalized[name] = value;
+  }
+  return normalized;
+}
+
 module.exports = {
   getScfArgs,
+  validateTaskArgs,
 };
@@ -0,0 +1,119 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const stream = require('stream');
+const { promisify } = require('util');
+const { logger } = require('./logger');
+
+const pipeline = promisify(stream.pipeline);
+
+const HEX_LENGTHS = {
+  md5: 32,
+  sha1: 40,
+  sha256: 64,
+  sha512: 128,
+};
+
+/**
+ * Checksum of a file published by upstream
+ * @typedef {Object} Checksum
+ * @property {'md5' | 'sha1' | 'sha256' | 'sha512'} algorithm
+ * @property {string} value - Hex or base64 encoded digest
+ * @property {string} source - Where the checksum is published, e.g. `github-release-digest`
+ */
+
+/**
+ * Whether and how an artifact was verified against the upstream checksum
+ * @typedef {Object} Verification
+ * @property {boolean} verified - False if upstream publishes no checksum
+ * @property {string} [algorithm] - Algorithm of the upstream checksum
+ * @property {string} [source] - Where the upstream checksum is published
+ * @property {string} [convertedFrom] - Name of the upstream file which was verified, if the artifact was converted from it
+ */
+
+class ChecksumMismatchError extends Error {
+  name = 'ChecksumMismatchError';
+}
+
+/**
+ * Compute digests of a file in a single pass
+ * @param {string} filePath
+ * @param {string[]} [algorithms]
+ * @returns {Promise<Record<string, string>>} Hex encoded digests by algorithm
+ */
+async function hashFile(filePath, algorithms = ['md5', 'sha256']) {
+  const hashes = algorithms.map((algorithm) => crypto.createHash(algorithm));
+  await pipeline(
+    fs.createReadStream(filePath),
+    new stream.Writable({
+      write(chunk, encoding, callback) {
+        hashes.forEach((hash) => hash.update(chunk));
+        callback();
+      },
+    }),
+  );
+  return Object.fromEntries(algorithms.map((algorithm, i) => [algorithm, hashes[i].digest('hex')]));
+}
+
+/**
+ * Normalize a hex or base64 encoded digest to lowercase hex
+ * @param {string} algorithm
+ * @param {string} value
+ * @returns {string}
+ */
+function toHexDigest(algorithm, value) {
+  const trimmed = value.trim();
+  if (trimmed.length === HEX_LENGTHS[algorithm] && /^[0-9a-f]+$/i.test(trimmed)) {
+    return trimmed.toLowerCase();
+  }
+  return Buffer.from(trimmed, 'base64').toString('hex');
+}
+
+/**
+ * Parse a digest in the form of `<algorithm>:<value>`, e.g. `sha256:4a5b...`
+ * @param {string | undefined} digest
+ * @param {string} source
+ * @returns {Checksum | undefined} Undefined if the digest is missing or the algorithm is unsupported
+ */
+function parseDigest(digest, source) {
+  const m = /^(\w+):(.+)$/.exec(digest || '');
+  if (!m || !HEX_LENGTHS[m[1].toLowerCase()]) {
+    return undefined;
+  }
+  return { algorithm: m[1].toLowerCase(), value: m[2], source };
+}
+
+/**
+ * Verify a file against the upstream checksum
+ * @param {string} filePath
+ * @param {Checksum | undefined} checksum - Skips verification if not provided
+ * @returns {Promise<Verification>}
+ * @throws {ChecksumMismatchError} If the file does not match the checksum
+ */
+async function verifyFile(filePath, checksum) {
+  if (!checksum) {
+    logger.info(`No upstream checksum for ${filePath}, skipping verification.`);
+    return { verified: false };
+  }
+  const { algorithm, source } = checksum;
+  const expected = toHexDigest(algorithm, checksum.value);
+  if (expected.length !== HEX_LENGTHS[algorithm]) {
+    throw new ChecksumMismatchError(
+      `Invalid ${algorithm} checksum from ${source}: ${checksum.value}`,
+    );
+  }
+  const actual = (await hashFile(filePath, [algorithm]))[algorithm];
+  if (actual !== expected) {
+    throw new ChecksumMismatchError(
+      `${algorithm} mismatch of ${filePath}: got ${actual}, expected ${expected} (${source})`,
+    );
+  }
+  logger.info(`Verified ${filePath} by ${algorithm} from ${source}`);
+  return { verified: true, algorithm, source };
+}
+
+module.exports = {
+  ChecksumMismatchError,
+  hashFile,
+  parseDigest,
+  verifyFile,
+};
@@ -1,24 +1,202 @@
 const fs = require('fs-extra');
 const got = require('got');
+const stream = require('stream');
+const { promisify } = require('util');
+const { logger } = require('./logger');
 
-async function downloadFile(url, filePath) {
-  try {
-    const downloadStream = got.stream(url);
-    const fileWriterStream = fs.createWriteStream(filePath);
+const pipeline = promisify(stream.pipeline);
+
+/**
+ * @typedef {Object} DownloadOptions
+ * @property {number} [retries] - Max retry times after the first attempt
+ * @property {number} [backoff] - Base delay (ms) of exponential backoff between attempts
+ * @property {number} [idleTimeout] - Abort an attempt if no data is received for this long (ms)
+ * @property {number} [totalTimeout] - Give up if the whole download (including retries) takes longer than this (ms)
+ * @property {Record<string, string>} [headers] - Extra request headers
+ */
+
+/** @type {Required<DownloadOptions>} */
+const DEFAULT_OPTIONS = {
+  retries: 3,
+  backoff: 2000,
+  idleTimeout: 60 * 1000,
+  totalTimeout: 8 * 60 * 1000,
+  headers: {},
+};
+
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504, 520, 521, 522, 524];
 
-    downloadStream.pipe(fileWriterStream);
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-    return new Promise((resolve, reject) => {
-      fileWriterStream.on('error', reject);
-      downloadStream.on('error', reject);
-      fileWriterStream.on('finish', resolve);
+class IncompleteDownloadError extends Error {
+  name = 'IncompleteDownloadError';
+}
+
+function isRetryable(err) {
+  if (err instanceof got.HTTPError) {
+    return RETRYABLE_STATUS_CODES.includes(err.response.statusCode);
+  }
+  return true;
+}
+
+/**
+ * Parse `Content-Range: bytes start-end/total`
+ */
+function parseContentRange(value) {
+  const m = /^bytes\s+(?:(\d+)-(\d+)|\*)\/(\d+|\*)$/i.exec(value || '');
+  if (!m) {
+    return null;
+  }
+  return {
+    start: m[1] !== undefined ? parseInt(m[1], 10) : undefined,
+    total: m[3] !== '*' ? parseInt(m[3], 10) : undefined,
+  };
+}
+
+/**
+ * Run a single download attempt, resuming from the existing partial file if possible
+ * @param {string} url
+ * @param {string} filePath
+ * @param {{ headers: Record<string, string>, idleTimeout: number, deadline: number }} options
+ * @param {{ resumable: boolean }} state - Whether the partial file can be resumed, shared across attempts
+ * @returns {Promise<{ size: number, expectedSize?: number }>}
+ */
+async function downloadOnce(url, filePath, { headers, idleTimeout, deadline }, state) {
+  const st = state.resumable ? await fs.stat(filePath).catch(() => null) : null;
+  const offset = st ? st.size : 0;
+  const downloadStream = got.stream(url, {
+    headers: offset > 0 ? { ...headers, range: `bytes=${offset}-` } : headers,
+    retry: 0,
+    timeout: {
+      socket: idleTimeout,
+      request: Math.max(deadline - Date.now(), 1),
+    },
+  });
+
+  let response;
+  try {
+    response = await new Promise((resolve, reject) => {
+      downloadStream.once('response', resolve);
+      downloadStream.once('error', reject);
     });
   } catch (err) {
-    await fs.unlink(filePath).catch(() => {});
+    const statusCode = err.response && err.response.statusCode;
+    const range = statusCode === 416 && parseContentRange(err.response.headers['content-range']);
+    if (range && range.total === offset) {
+      // the partial file is already complete
+      return { size: offset, expectedSize: range.total };
+    }
+    throw err;
+  }
+
+  const encoding = response.headers['content-encoding'];
+  // length of an encoded response does not match the decoded file, so it can neither be verified nor resumed
+  const isEncoded = !!encoding && encoding !== 'identity';
+  let append = false;
+  let expectedSize;
+  state.resumable = !isEncoded;
+  if (response.statusCode === 206) {
+    const range = parseContentRange(response.headers['content-range']);
+    if (!range || range.start !== offset) {
+      downloadStream.destroy();
+      state.resumable = false;
+      throw new IncompleteDownloadError(
+        `Unexpected Content-Range ${response.headers['content-range']} for offset ${offset}`,
+      );
+    }
+    append = true;
+    expectedSize = range.total;
+  } else if (!isEncoded && response.headers['content-length']) {
+    expectedSize = parseInt(response.headers['content-length'], 10);
+  }
+  if (offset > 0) {
+    logger.info(
+      append
+        ? `Resuming download from byte ${offset}: ${url}`
+        : `Server does not support resuming, restarting download: ${url}`,
+    );
+  }
+
+  await pipeline(downloadStream, fs.createWriteStream(filePath, { flags: append ? 'a' : 'w' }));
+
+  const { size } = await fs.stat(filePath);
+  if (expectedSize !== undefined && size !== expectedSize) {
+    if (size > expectedSize) {
+      state.resumable = false;
+    }
+    throw new IncompleteDownloadError(
+      `Downloaded size mismatch: got ${size} bytes, expected ${expectedSize} bytes`,
+    );
+  }
+  if (expectedSize === undefined) {
+    logger.warn(`Content-Length is not available, skipping size verification: ${url}`);
+  }
+  return { size, expectedSize };
+}
+
+/**
+ * Download a file with retries, resuming and size verification.
+ * The partial file is removed if the download finally fails.
+ * @param {string} url
+ * @param {string} filePath
+ * @param {DownloadOptions} [options]
+ * @returns {Promise<{ size: number, expectedSize?: number }>}
+ */
+async function downloadFile(url, filePath, options = {}) {
+  const { retries, backoff, idleTimeout, totalTimeout, headers } = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+  };
+  const deadline = Date.now() + totalTimeout;
+  const state = { resumable: false };
+  let lastError;
+
+  await fs.remove(filePath);
+  try {
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      if (attempt > 0) {
+        const delay = backoff * 2 ** (attempt - 1);
+        if (Date.now() + delay >= deadline) {
+          throw new Error(`Download timed out after ${totalTimeout} ms: ${lastError.message}`);
+        }
+        logger.warn(
+          `Download attempt ${attempt} failed (${lastError.message}), retrying in ${delay} ms: ${url}`,
+        );
+        await sleep(delay);
+      }
+      try {
+        return await downloadOnce(url, filePath, { headers, idleTimeout, deadline }, state);
+      } catch (err) {
+        lastError = err;
+        if (!isRetryable(err)) {
+          break;
+        }
+      }
+    }
+    throw lastError;
+  } catch (err) {
+    await fs.remove(filePath).catch(() => {});
     throw err;
   }
 }
 
+/**
+ * Get the size of a remote file by a HEAD request
+ * @param {string} url
+ * @returns {Promise<number | undefined>} The size in bytes, or undefined if unknown
+ */
+async function getRemoteFileSize(url) {
+  try {
+    const response = await got.head(url, { retry: 1, timeout: { request: 30 * 1000 } });
+    const contentLength = response.headers['content-length'];
+    return contentLength ? parseInt(contentLength, 10) : undefined;
+  } catch (err) {
+    logger.warn(`Failed to get remote file size of ${url}: ${err.message}`);
+    return undefined;
+  }
+}
+
 module.exports = {
   downloadFile,
+  getRemoteFileSize,
 };
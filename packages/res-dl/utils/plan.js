@@ -0,0 +1,70 @@
+/**
+ * @typedef {'add' | 'update' | 'skip' | 'pinned'} PlanAction
+ */
+
+/**
+ * @typedef {Object} PlanItem
+ * @property {string} key - Index key
+ * @property {PlanAction} action - What a real run would do with the key
+ * @property {string} [oldVersion] - Currently published version
+ * @property {string} newVersion - Resolved upstream version
+ * @property {number} [size] - Expected size in bytes, if known
+ */
+
+/**
+ * Create a plan item by comparing the resolved upstream version with the loaded index
+ * @param {import('./res-index-mgr')} rim - Loaded resource index manager
+ * @param {string} key - Index key
+ * @param {string} version - Resolved upstream version
+ * @param {Record<string, any>} [extra] - Extra fields of the plan item
+ * @param {boolean} [force] - Whether an up-to-date key would be updated anyway
+ * @returns {PlanItem}
+ */
+function createPlanItem(rim, key, version, extra = {}, force = false) {
+  const item = rim.get(key);
+  let action;
+  if (rim.isPinned(key)) {
+    action = 'pinned';
+  } else if (!item) {
+    action = 'add';
+  } else if (item.version === version && !force) {
+    action = 'skip';
+  } else {
+    action = 'update';
+  }
+  return {
+    key,
+    action,
+    oldVersion: item ? item.version : undefined,
+    newVersion: version,
+    ...extra,
+  };
+}
+
+/**
+ * Whether the plan item would download and upload an artifact
+ * @param {PlanItem} planItem
+ * @returns {boolean}
+ */
+function isPlanItemActive(planItem) {
+  return planItem.action === 'add' || planItem.action === 'update';
+}
+
+/**
+ * Count plan items by action
+ * @param {PlanItem[]} plan
+ * @returns {Record<PlanAction, number>}
+ */
+function summarizePlan(plan) {
+  const summary = { add: 0, update: 0, skip: 0, pinned: 0 };
+  for (const item of plan) {
+    summary[item.action]++;
+  }
+  return summary;
+}
+
+module.exports = {
+  createPlanItem,
+  isPlanItemActive,
+  summarizePlan,
+};
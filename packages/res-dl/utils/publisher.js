@@ -0,0 +1,154 @@
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { moment } = require('./datetime');
+const { getStorage } = require('./storage');
+const ResourceIndexManager = require('./res-index-mgr');
+const { validateArtifact } = require('./validate');
+
+const STAGING_DIR = '.staging';
+/** Staged objects older than this are considered leftovers of failed runs */
+const STAGING_EXPIRE_TIME = 6 * 60 * 60 * 1000;
+
+/**
+ * Publish artifacts in a crash-safe way:
+ * 0. validate the local file by its kind (see `validateArtifact`)
+ * 1. upload the artifact to a staging key
+ * 2. verify the staged object against the size and md5 of the local file
+ * 3. copy it to a content-stable final key (`<remoteDir>/<md5>/<fileName>`) and update the index
+ *
+ * A final key is never overwritten with different content, so saving the index is the single
+ * commit point of a publish. Objects left under the staging prefix by failed runs are removed by
+ * `cleanupStaging`.
+ */
+class ArtifactPublisher {
+  /**
+   * @param {string} rootPath - Remote base path which index item paths are relative to
+   */
+  constructor(rootPath) {
+    /** @type {string} */
+    this.rootPath = rootPath;
+    /** @type {string} */
+    this.runId = `${moment().format('YYYYMMDDHHmmss')}-${crypto.randomBytes(4).toString('hex')}`;
+  }
+
+  /**
+   * Get the remote staging path of this run
+   * @returns {string}
+   */
+  get stagingPath() {
+    return path.join(this.rootPath, STAGING_DIR, this.runId);
+  }
+
+  /**
+   * Publish a local file as the new item of the key, if the index needs to be updated
+   * @param {ResourceIndexManager} rim
+   * @param {string} key
+   * @param {string} filePath - Local file path
+   * @param {Object} options
+   * @param {string} options.remoteDir - Remote directory of the key
+   * @param {string} options.version - Version of the resource
+   * @param {string} [options.fileName] - Remote file name. Defaults to the local file name
+   * @param {import('./checksum').Verification} [options.verification] - Result of the upstream checksum verification
+   * @param {Partial<import('./res-index-mgr').ResourceIndexItem>} [options.extra] - Extra fields of the index item
+   * @param {boolean} [options.force] - Publish even if the version and md5 are unchanged
+   * @param {boolean} [options.compareSize] - Reject the file if it is drastically smaller than the current item of the key. Defaults to true
+   * @returns {Promise<boolean>} True if the index was updated, false if no changes were made
+   */
+  async publish(rim, key, filePath, options) {
+    const {
+      remoteDir,
+      version,
+      fileName = path.basename(filePath),
+      verification,
+      extra,
+      force = false,
+      compareSize = true,
+    } = options;
+    await validateArtifact(filePath, {
+      fileName,
+      previousSize: compareSize ? rim.get(key)?.size : undefined,
+    });
+    const fileItem = await ResourceIndexManager.genIndexItemForFile(
+      filePath,
+      undefined,
+      version,
+      verification,
+    );
+    const remoteFilePath = path.join(remoteDir, fileItem.md5, fileName);
+    const item = { ...fileItem, ...extra, path: path.relative(this.rootPath, remoteFilePath) };
+    if (rim.isPinned(key) || !(force || rim.hasUpdate(key, item))) {
+      logger.info(`[ArtifactPublisher] No changes of key ${key}, skipping publish.`);
+      return false;
+    }
+
+    const storage = getStorage();
+    const stagingFilePath = path.join(this.stagingPath, fileItem.md5, fileName);
+    try {
+      await storage.put(stagingFilePath, filePath);
+      await this.verify(stagingFilePath, item);
+      await storage.copy(stagingFilePath, remoteFilePath);
+    } finally {
+      await storage.delete(stagingFilePath).catch((err) => {
+        logger.warn(`[ArtifactPublisher] Failed to delete staged object ${stagingFilePath}:`, err);
+      });
+    }
+    return rim.update(key, item, { force });
+  }
+
+  /**
+   * Verify that the remote object matches the index item
+   * @param {string} remoteFilePath
+   * @param {import('./res-index-mgr').ResourceIndexItem} item
+   * @returns {Promise<void>}
+   */
+  async verify(remoteFilePath, item) {
+    const info = await getStorage().head(remoteFilePath);
+    if (!info) {
+      throw new Error(`Staged object ${remoteFilePath} not found`);
+    }
+    if (info.size !== item.size) {
+      throw new Error(
+        `Staged object ${remoteFilePath} size mismatch: got ${info.size} bytes, expected ${item.size} bytes`,
+      );
+    }
+    // ETag of a multipart upload is not the MD5 hash of the content
+    if (info.etag && /^[0-9a-f]{32}$/i.test(info.etag)) {
+      if (info.etag.toLowerCase() !== item.md5) {
+        throw new Error(
+          `Staged object ${remoteFilePath} md5 mismatch: got ${info.etag}, expected ${item.md5}`,
+        );
+      }
+    } else {
+      logger.info(
+        `[ArtifactPublisher] ETag of ${remoteFilePath} is not an MD5 hash, only size is verified.`,
+      );
+    }
+  }
+
+  /**
+   * Delete staged objects left by failed runs
+   * @returns {Promise<void>}
+   */
+  async cleanupStaging() {
+    const storage = getStorage();
+    const now = Date.now();
+    try {
+      const objects = await storage.list(`${path.join(this.rootPath, STAGING_DIR)}/`);
+      for (const object of objects) {
+        if (object.key.startsWith(`${this.stagingPath}/`)) {
+          continue;
+        }
+        if (object.lastModified && now - object.lastModified.getTime() < STAGING_EXPIRE_TIME) {
+          continue;
+        }
+        logger.info(`[ArtifactPublisher] Deleting stale staged object ${object.key}`);
+        await storage.delete(object.key);
+      }
+    } catch (err) {
+      logger.warn(`[ArtifactPublisher] Failed to clean up staged objects:`, err);
+    }
+  }
+}
+
+module.exports = ArtifactPublisher;
@@ -0,0 +1,265 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { crc32 } = require('./zip');
+
+/**
+ * Rules to prune and restructure the content of an archive before packing it as zip
+ * @typedef {Object} RepackRules
+ * @property {boolean} [stripTopLevel] - Remove the top-level directory, which must be the only top-level entry
+ * @property {string} [rootDir] - Put all entries under this directory, applied after stripping
+ * @property {string[]} [include] - Globs of entries to keep, matched against full paths, or paths without the top-level directory if `stripTopLevel` is set. Defaults to all entries
+ * @property {string[]} [exclude] - Globs of entries to remove, matched like `include`
+ * @property {Record<string, string | Object>} [files] - Extra files by their path in the zip. Objects are written as JSON, and `{{name}}` in strings is replaced with the variable
+ */
+
+/**
+ * @typedef {Object} RepackEntry
+ * @property {string} path - Posix path without the trailing slash
+ * @property {boolean} dir
+ */
+
+/**
+ * Convert a glob to a RegExp matching the whole path. Supports `*`, `?`, `{a,b}` and `**`,
+ * where `a/**` also matches `a` itself
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let re = '';
+  let braces = 0;
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+    if (glob.startsWith('**/', i) && (i === 0 || glob[i - 1] === '/')) {
+      re += '(?:.*/)?';
+      i += 2;
+    } else if (glob.startsWith('/**', i) && i + 3 === glob.length) {
+      re += '(?:/.*)?';
+      i += 2;
+    } else if (glob.startsWith('**', i)) {
+      re += '.*';
+      i += 1;
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '{') {
+      re += '(?:';
+      braces++;
+    } else if (c === '}' && braces > 0) {
+      re += ')';
+      braces--;
+    } else if (c === ',' && braces > 0) {
+      re += '|';
+    } else {
+      re += c.replace(/[\\^$.*+?()[\]{}|/]/g, '\\$&');
+    }
+  }
+  if (braces > 0) {
+    throw new Error(`Unclosed brace in glob: ${glob}`);
+  }
+  return new RegExp(`^${re}$`);
+}
+
+/**
+ * Get the path and its ancestors, e.g. `a`, `a/b` and `a/b/c` of `a/b/c`
+ * @param {string} p
+ * @returns {string[]}
+ */
+function selfAndAncestors(p) {
+  const parts = p.split('/');
+  return parts.map((_, i) => parts.slice(0, i + 1).join('/'));
+}
+
+/**
+ * Get a stable hash of repack rules, which changes whenever the produced zip may change
+ * @param {RepackRules | undefined} rules
+ * @returns {string | undefined} Undefined if there are no rules
+ */
+function getRepackRulesHash(rules) {
+  if (!rules) {
+    return undefined;
+  }
+  const stringify = (value) => {
+    if (Array.isArray(value)) {
+      return `[${value.map(stringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const keys = Object.keys(value)
+        .filter((k) => value[k] !== undefined)
+        .sort();
+      return `{${keys.map((k) => `${JSON.stringify(k)}:${stringify(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+  };
+  return crypto.createHash('sha256').update(stringify(rules)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Decide where each entry goes in the repacked archive
+ * @param {RepackEntry[]} entries - All entries of the archive
+ * @param {RepackRules} rules
+ * @returns {Map<string, string>} New paths of kept entries by their original path
+ */
+function planRepack(entries, rules) {
+  let prefix = '';
+  if (rules.stripTopLevel) {
+    const tops = new Set(entries.map((e) => e.path.split('/')[0]));
+    const [top] = tops;
+    const isDir = entries.some((e) => e.path.startsWith(`${top}/`) || (e.path === top && e.dir));
+    if (tops.size !== 1 || !isDir) {
+      throw new Error(
+        `stripTopLevel requires a single top-level directory, found: ${[...tops].join(', ')}`,
+      );
+    }
+    prefix = `${top}/`;
+  }
+  const include = (rules.include || []).map(globToRegExp);
+  const exclude = (rules.exclude || []).map(globToRegExp);
+  const matches = (res, rel) => selfAndAncestors(rel).some((p) => res.some((re) => re.test(p)));
+
+  const nonEmptyDirs = new Set();
+  for (const e of entries) {
+    selfAndAncestors(e.path)
+      .slice(0, -1)
+      .forEach((p) => nonEmptyDirs.add(p));
+  }
+
+  /** @type {Map<string, string>} Relative paths after stripping by original path */
+  const relPaths = new Map();
+  for (const e of entries) {
+    if (!e.path.startsWith(prefix)) {
+      continue;
+    }
+    relPaths.set(e.path, e.path.slice(prefix.length));
+  }
+
+  const kept = new Set();
+  for (const e of entries) {
+    const rel = relPaths.get(e.path);
+    // Non-empty directories are kept only if some of their content is kept
+    if (!rel || (e.dir && nonEmptyDirs.has(e.path))) {
+      continue;
+    }
+    if (matches(exclude, rel) || (include.length > 0 && !matches(include, rel))) {
+      continue;
+    }
+    selfAndAncestors(e.path)
+      .filter((p) => relPaths.get(p))
+      .forEach((p) => kept.add(p));
+  }
+
+  const base = rules.rootDir ? `${rules.rootDir.replace(/^\/+|\/+$/g, '')}/` : '';
+  const plan = new Map();
+  for (const e of entries) {
+    if (kept.has(e.path)) {
+      plan.set(e.path, base + relPaths.get(e.path));
+    }
+  }
+  return plan;
+}
+
+/**
+ * Render the extra files of repack rules
+ * @param {RepackRules} rules
+ * @param {Record<string, string>} [variables] - Values of `{{name}}` placeholders
+ * @returns {{ path: string, content: Buffer }[]}
+ */
+function renderRepackFiles(rules, variables = {}) {
+  const render = (value) => {
+    if (typeof value === 'string') {
+      return value.replace(/\{\{(\w+)\}\}/g, (m, name) => {
+        if (variables[name] === undefined) {
+          throw new Error(`Unknown variable in repack files: ${name}`);
+        }
+        return String(variables[name]);
+      });
+    }
+    if (Array.isArray(value)) {
+      return value.map(render);
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, render(v)]));
+    }
+    return value;
+  };
+  return Object.entries(rules.files || {}).map(([filePath, value]) => {
+    const normalized = path.posix.normalize(filePath.replace(/\\/g, '/'));
+    if (path.posix.isAbsolute(normalized) || normalized.split('/').includes('..')) {
+      throw new Error(`Invalid path of repack file: ${filePath}`);
+    }
+    const content = render(value);
+    return {
+      path: normalized,
+      content: Buffer.from(
+        typeof content === 'string' ? content : `${JSON.stringify(content, null, 2)}\n`,
+      ),
+    };
+  });
+}
+
+/**
+ * Move entries of an extracted archive into a new directory according to the rules,
+ * then write the extra files
+ * @param {string} srcDir - Directory of the extracted archive
+ * @param {string} destDir - Directory of the repacked content, which must not exist
+ * @param {RepackEntry[]} entries - All entries in srcDir
+ * @param {RepackRules} rules
+ * @param {Record<string, string>} [variables] - Values of `{{name}}` placeholders in extra files
+ * @returns {Promise<number>} Number of entries removed by the rules
+ */
+async function applyRepack(srcDir, destDir, entries, rules, variables) {
+  const plan = planRepack(entries, rules);
+  await fs.ensureDir(destDir);
+  // Directories come before their content, so moving a file never moves a kept directory
+  for (const e of [...entries].sort((a, b) => (a.path < b.path ? -1 : 1))) {
+    const newPath = plan.get(e.path);
+    if (newPath === undefined) {
+      continue;
+    }
+    const dest = path.join(destDir, newPath);
+    if (e.dir) {
+      await fs.ensureDir(dest);
+    } else {
+      await fs.move(path.join(srcDir, e.path), dest, { overwrite: true });
+    }
+  }
+  for (const file of renderRepackFiles(rules, variables)) {
+    await fs.outputFile(path.join(destDir, file.path), file.content);
+  }
+  return entries.length - plan.size;
+}
+
+/**
+ * Get the expected manifest of the repacked archive
+ * @template {{ path: string, dir: boolean, size: number, crc?: string }} T
+ * @param {Map<string, T>} manifest - Manifest of the source archive by path
+ * @param {RepackRules} rules
+ * @param {Record<string, string>} [variables] - Values of `{{name}}` placeholders in extra files
+ * @returns {Map<string, T>}
+ */
+function repackManifest(manifest, rules, variables) {
+  const plan = planRepack([...manifest.values()], rules);
+  const result = new Map();
+  for (const [oldPath, newPath] of plan) {
+    result.set(newPath, { ...manifest.get(oldPath), path: newPath });
+  }
+  for (const file of renderRepackFiles(rules, variables)) {
+    result.set(file.path, {
+      path: file.path,
+      dir: false,
+      size: file.content.length,
+      crc: crc32(file.content).toString(16).toUpperCase().padStart(8, '0'),
+    });
+  }
+  return result;
+}
+
+module.exports = {
+  globToRegExp,
+  getRepackRulesHash,
+  planRepack,
+  renderRepackFiles,
+  applyRepack,
+  repackManifest,
+};
@@ -1,27 +1,81 @@
 const path = require('path');
 const fs = require('fs-extra');
-const md5File = require('md5-file');
 const { logger } = require('./logger');
 const { moment } = require('./datetime');
-const { uploadFileToCOS, getFileContentFromCOS } = require('./cos');
+const { getStorage } = require('./storage');
+const { hashFile } = require('./checksum');
 
 /**
  * @typedef {Object} ResourceIndexItem
  * @property {string} version - Version of the resource
  * @property {string} path - Relative path (relative to the base path)
  * @property {string} md5 - MD5 hash of the resource
+ * @property {string} [sha256] - SHA-256 hash of the resource
  * @property {number} size - Size of the resource in bytes
  * @property {string} updatedAt - Last updated timestamp in ISO 8601 format
+ * @property {import('./checksum').Verification} [verification] - Whether and how the resource was verified against the upstream checksum
+ * @property {{ vscode?: string }} [engines] - Engine compatibility of the resource, e.g. the VSCode version range a vsix requires
+ * @property {string} [commit] - Commit hash of the build, e.g. of a VSCode release
+ * @property {string} [registry] - Extension registry a vsix was downloaded from
+ * @property {string[]} [extensionDependencies] - Extension ids a vsix depends on
+ * @property {string[]} [extensionPack] - Extension ids a vsix bundles as an extension pack
+ * @property {string} [repackHash] - Hash of the repack rules an archive was converted with
+ * @property {ResourceIndexHistoryItem[]} [history] - Previous versions, newest first
+ * @property {ResourceIndexPin} [pinned] - Pin info. A pinned item will not be updated by tasks
+ * @property {ResourceIndexDeprecation} [deprecated] - Deprecation info. A deprecated item is no longer mirrored but kept for existing clients
  */
 
+/**
+ * @typedef {Object} ResourceIndexDeprecation
+ * @property {string} [reason] - Reason for deprecation
+ * @property {string} deprecatedAt - Deprecated timestamp in ISO 8601 format
+ */
+
+/**
+ * @typedef {Object} ResourceIndexPin
+ * @property {string} version - Pinned version
+ * @property {string} [reason] - Reason for pinning
+ * @property {string} pinnedAt - Pinned timestamp in ISO 8601 format
+ */
+
+/**
+ * @typedef {Object} ResourceIndexHistoryItem
+ * @property {string} version - Version of the resource
+ * @property {string} path - Relative path (relative to the base path)
+ * @property {string} md5 - MD5 hash of the resource
+ * @property {string} [sha256] - SHA-256 hash of the resource
+ * @property {number} size - Size of the resource in bytes
+ * @property {string} updatedAt - Last updated timestamp in ISO 8601 format
+ * @property {import('./checksum').Verification} [verification] - Whether and how the resource was verified against the upstream checksum
+ */
+
+const DEFAULT_RETENTION = 2;
+const MAX_SAVE_ATTEMPTS = 5;
+
 class ResourceIndexManager {
-  static genIndexItemForFile(filePath, remoteRelativePath, version) {
+  /**
+   * Generate an index item for a local file
+   * @param {string} filePath - Local file path
+   * @param {string} remoteRelativePath - Remote path relative to the root path
+   * @param {string} version
+   * @param {import('./checksum').Verification} [verification] - Result of the upstream checksum verification
+   * @returns {Promise<ResourceIndexItem>}
+   */
+  static async genIndexItemForFile(
+    filePath,
+    remoteRelativePath,
+    version,
+    verification = { verified: false },
+  ) {
+    const { md5, sha256 } = await hashFile(filePath, ['md5', 'sha256']);
     return {
       version,
       path: remoteRelativePath,
-      md5: md5File.sync(filePath),
-      size: fs.statSync(filePath).size,
+      md5,
+      sha256,
+      size: (await fs.stat(filePath)).size,
       updatedAt: moment().toISOString(true),
+      verification,
     };
   }
 
@@ -30,12 +84,38 @@ class ResourceIndexManager {
 
   updates = 0;
 
+  /**
+   * ETag of index.json when loaded, used for conditional writes. `null` if the index did not exist
+   * @type {string | null | undefined}
+   */
+  etag;
+
+  /**
+   * Changes made since the index was loaded, which are re-applied to the reloaded index if it has
+   * been modified by others before saving
+   * @type {Array<{ method: 'update' | 'pin' | 'unpin' | 'rollback', args: any[] }>}
+   */
+  journal = [];
+
+  /**
+   * Remote relative paths of artifacts which fell out of the retention window
+   * @type {string[]}
+   */
+  expiredPaths = [];
+
   /**
    * @param {string} basePath - Base path for the resource index
+   * @param {Object} [options]
+   * @param {string} [options.rootPath] - Remote base path which item paths are relative to. Expired artifacts are only deleted if provided
+   * @param {number} [options.retention] - Number of previous versions to keep in history for each key
    */
-  constructor(basePath) {
+  constructor(basePath, options = {}) {
     /** @type {string} */
     this.basePath = basePath;
+    /** @type {string | undefined} */
+    this.rootPath = options.rootPath;
+    /** @type {number} */
+    this.retention = options.retention ?? DEFAULT_RETENTION;
   }
 
   /**
@@ -47,13 +127,28 @@ class ResourceIndexManager {
   }
 
   /**
-   * Load index from remote
+   * Conditions for writing index.json, so that it is not overwritten if modified since loaded
+   * @returns {import('./storage').StoragePutOptions}
+   */
+  get writeConditions() {
+    if (this.etag === null) {
+      return { ifNoneMatch: '*' };
+    }
+    return this.etag ? { ifMatch: this.etag } : {};
+  }
+
+  /**
+   * Load index from remote. Unsaved changes are discarded
    * @returns {Promise<Record<string, ResourceIndexItem>>} The loaded index
    */
   async load() {
+    this.updates = 0;
+    this.journal = [];
+    this.expiredPaths = [];
     try {
-      const content = await getFileContentFromCOS(this.indexPath);
-      this.index = JSON.parse(content.toString('utf-8'));
+      const { body, etag } = await getStorage().getObject(this.indexPath);
+      this.index = JSON.parse(body.toString('utf-8'));
+      this.etag = etag;
       return this.index;
     } catch (err) {
       if (err.code === 'NoSuchKey') {
@@ -61,6 +156,7 @@ class ResourceIndexManager {
           `[ResourceIndexManager] index not found at ${this.indexPath}, initializing empty index.`,
         );
         this.index = {};
+        this.etag = null;
         return this.index;
       }
       logger.error(`[ResourceIndexManager] Failed to load index ${this.indexPath}:`, err);
@@ -69,25 +165,94 @@ class ResourceIndexManager {
   }
 
   /**
-   * Save index to remote
+   * Reload the index and re-apply the changes in the journal
    * @returns {Promise<void>}
    */
+  async reapply() {
+    const journal = this.journal;
+    await this.load();
+    for (const { method, args } of journal) {
+      try {
+        this[method](...args);
+      } catch (err) {
+        logger.warn(
+          `[ResourceIndexManager] Failed to re-apply ${method} of key ${args[0]}, dropping it:`,
+          err,
+        );
+      }
+    }
+  }
+
+  /**
+   * Save index to remote. The index is written only if it has not been modified since loaded,
+   * otherwise it is reloaded and the changes of this run are re-applied before retrying
+   * @returns {Promise<number>} Number of updates actually saved
+   */
   async save() {
     if (!this.index) {
       throw new Error(`Resource index must be loaded before saving.`);
     }
-    if (this.updates === 0) {
-      logger.info(`[ResourceIndexManager] No updates to save, skipping.`);
-      return this.updates;
+    for (let attempt = 1; ; attempt++) {
+      if (this.updates === 0) {
+        logger.info(`[ResourceIndexManager] No updates to save, skipping.`);
+        return this.updates;
+      }
+      const content = JSON.stringify(this.index, null, 2);
+      logger.info(`[ResourceIndexManager] Saving index ${this.indexPath}: ${content}`);
+      try {
+        const { etag } = await getStorage().put(
+          this.indexPath,
+          Buffer.from(content),
+          this.writeConditions,
+        );
+        this.etag = etag ?? (await getStorage().head(this.indexPath))?.etag;
+        break;
+      } catch (err) {
+        if (err.code !== 'PreconditionFailed' || attempt >= MAX_SAVE_ATTEMPTS) {
+          throw err;
+        }
+        logger.warn(
+          `[ResourceIndexManager] Index ${this.indexPath} was modified concurrently, reloading and retrying (attempt ${attempt}).`,
+        );
+        await this.reapply();
+      }
     }
-    const content = JSON.stringify(this.index, null, 2);
-    logger.info(`[ResourceIndexManager] Saving index ${this.indexPath}: ${content}`);
-    await uploadFileToCOS(Buffer.from(content), this.indexPath);
     const updates = this.updates;
     this.updates = 0;
+    this.journal = [];
+    await this.deleteExpired();
     return updates;
   }
 
+  /**
+   * Delete expired artifacts from remote which are no longer referenced by the index
+   * @returns {Promise<void>}
+   */
+  async deleteExpired() {
+    const expiredPaths = this.expiredPaths;
+    this.expiredPaths = [];
+    if (!this.rootPath) {
+      return;
+    }
+    const referencedPaths = new Set();
+    for (const item of Object.values(this.index)) {
+      referencedPaths.add(item.path);
+      for (const historyItem of item.history || []) {
+        referencedPaths.add(historyItem.path);
+      }
+    }
+    for (const p of new Set(expiredPaths)) {
+      if (referencedPaths.has(p)) {
+        continue;
+      }
+      try {
+        await getStorage().delete(path.join(this.rootPath, p));
+      } catch (err) {
+        logger.warn(`[ResourceIndexManager] Failed to delete expired artifact ${p}:`, err);
+      }
+    }
+  }
+
   /**
    * Check if the resource needs to be updated
    * @param {string} key
@@ -116,28 +281,220 @@ class ResourceIndexManager {
     return this.index[key];
   }
 
+  /**
+   * Get all keys in the index
+   * @returns {string[]}
+   */
+  keys() {
+    if (!this.index) {
+      throw new Error(`Resource index must be loaded before getting keys`);
+    }
+    return Object.keys(this.index);
+  }
+
+  /**
+   * Generate history for the new item from the previous one, and collect expired paths
+   * @param {ResourceIndexItem | undefined} prevItem
+   * @param {ResourceIndexItem} data
+   * @returns {ResourceIndexHistoryItem[]} The history of the new item
+   */
+  genHistory(prevItem, data) {
+    if (!prevItem) {
+      return [];
+    }
+    const { history = [], pinned, ...prevHistoryItem } = prevItem;
+    // an artifact uploaded to the same path has been overwritten, so it can not be kept in history
+    const candidates = [prevHistoryItem, ...history].filter((item) => item.path !== data.path);
+    const kept = candidates.slice(0, this.retention);
+    this.expiredPaths.push(...candidates.slice(this.retention).map((item) => item.path));
+    return kept;
+  }
+
   /**
    * Update an existing resource in the index
    * @param {string} key
    * @param {ResourceIndexItem} data
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - Update even if the version and md5 are unchanged
    * @return {boolean} True if the index was updated, false if no changes were made
    */
-  update(key, data) {
+  update(key, data, options = {}) {
     if (!this.index) {
       throw new Error(`Resource index must be loaded before updating items`);
     }
-    if (this.hasUpdate(key, data)) {
+    if (this.isPinned(key)) {
+      logger.info(
+        `[ResourceIndexManager] Key ${key} is pinned at version ${this.index[key].pinned.version}, skipping update.`,
+      );
+      return false;
+    }
+    if (options.force || this.hasUpdate(key, data)) {
       logger.info(
         `[ResourceIndexManager] Update key ${key}: ${JSON.stringify(
           this.index[key],
         )} -> ${JSON.stringify(data)}`,
       );
-      this.index[key] = data;
+      this.index[key] = {
+        ...data,
+        history: this.genHistory(this.index[key], data),
+      };
       this.updates++;
+      this.journal.push({ method: 'update', args: [key, data, options] });
       return true;
     }
     return false;
   }
+
+  /**
+   * Check if the key is pinned
+   * @param {string} key
+   * @returns {boolean} True if the key is pinned
+   */
+  isPinned(key) {
+    if (!this.index) {
+      throw new Error(`Resource index must be loaded before checking pins`);
+    }
+    return !!this.index[key]?.pinned;
+  }
+
+  /**
+   * Pin the key at its current version, so that tasks will skip updating it until unpinned
+   * @param {string} key
+   * @param {string} [reason]
+   * @returns {boolean} True if the index was updated, false if no changes were made
+   */
+  pin(key, reason) {
+    if (!this.index) {
+      throw new Error(`Resource index must be loaded before pinning items`);
+    }
+    const item = this.index[key];
+    if (!item) {
+      throw new Error(`Key ${key} not found in index ${this.indexPath}`);
+    }
+    if (item.pinned && item.pinned.version === item.version && item.pinned.reason === reason) {
+      return false;
+    }
+    item.pinned = {
+      version: item.version,
+      reason,
+      pinnedAt: moment().toISOString(true),
+    };
+    logger.info(`[ResourceIndexManager] Pin key ${key} at version ${item.version}`);
+    this.updates++;
+    this.journal.push({ method: 'pin', args: [key, reason] });
+    return true;
+  }
+
+  /**
+   * Unpin the key
+   * @param {string} key
+   * @returns {boolean} True if the index was updated, false if no changes were made
+   */
+  unpin(key) {
+    if (!this.index) {
+      throw new Error(`Resource index must be loaded before unpinning items`);
+    }
+    const item = this.index[key];
+    if (!item) {
+      throw new Error(`Key ${key} not found in index ${this.indexPath}`);
+    }
+    if (!item.pinned) {
+      return false;
+    }
+    delete item.pinned;
+    logger.info(`[ResourceIndexManager] Unpin key ${key}`);
+    this.updates++;
+    this.journal.push({ method: 'unpin', args: [key] });
+    return true;
+  }
+
+  /**
+   * Mark the key as deprecated. The item and its artifacts are kept
+   * @param {string} key
+   * @param {string} [reason]
+   * @returns {boolean} True if the index was updated, false if no changes were made
+   */
+  deprecate(key, reason) {
+    if (!this.index) {
+      throw new Error(`Resource index must be loaded before deprecating items`);
+    }
+    const item = this.index[key];
+    if (!item) {
+      throw new Error(`Key ${key} not found in index ${this.indexPath}`);
+    }
+    if (item.deprecated && item.deprecated.reason === reason) {
+      return false;
+    }
+    item.deprecated = {
+      reason,
+      deprecatedAt: moment().toISOString(true),
+    };
+    logger.info(`[ResourceIndexManager] Deprecate key ${key}`);
+    this.updates++;
+    this.journal.push({ method: 'deprecate', args: [key, reason] });
+    return true;
+  }
+
+  /**
+   * Remove the deprecation mark of the key
+   * @param {string} key
+   * @returns {boolean} True if the index was updated, false if no changes were made
+   */
+  undeprecate(key) {
+    if (!this.index) {
+      throw new Error(`Resource index must be loaded before undeprecating items`);
+    }
+    const item = this.index[key];
+    if (!item) {
+      throw new Error(`Key ${key} not found in index ${this.indexPath}`);
+    }
+    if (!item.deprecated) {
+      return false;
+    }
+    delete item.deprecated;
+    logger.info(`[ResourceIndexManager] Undeprecate key ${key}`);
+    this.updates++;
+    this.journal.push({ method: 'undeprecate', args: [key] });
+    return true;
+  }
+
+  /**
+   * Roll the key back to a version in its history. The current version is moved into history
+   * and the existing pin (if any) is removed
+   * @param {string} key
+   * @param {string} [version] - Target version. Defaults to the latest version in history
+   * @returns {ResourceIndexItem} The rolled back item
+   */
+  rollback(key, version) {
+    if (!this.index) {
+      throw new Error(`Resource index must be loaded before rolling back items`);
+    }
+    const item = this.index[key];
+    if (!item) {
+      throw new Error(`Key ${key} not found in index ${this.indexPath}`);
+    }
+    const { history = [], pinned, ...currentHistoryItem } = item;
+    const targetIndex = version ? history.findIndex((h) => h.version === version) : 0;
+    if (targetIndex === -1 || !history[targetIndex]) {
+      throw new Error(
+        `Version ${version || '(previous)'} of key ${key} not found in history (available: ${
+          history.map((h) => h.version).join(', ') || 'none'
+        })`,
+      );
+    }
+    const target = history[targetIndex];
+    logger.info(
+      `[ResourceIndexManager] Roll back key ${key}: ${item.version} -> ${target.version}`,
+    );
+    this.index[key] = {
+      ...target,
+      history: [currentHistoryItem, ...history.filter((_, i) => i !== targetIndex)],
+    };
+    this.updates++;
+    // record the resolved version, as the previous version may differ in the reloaded index
+    this.journal.push({ method: 'rollback', args: [key, target.version] });
+    return this.index[key];
+  }
 }
 
 module.exports = ResourceIndexManager;
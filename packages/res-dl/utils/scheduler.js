@@ -0,0 +1,122 @@
+const checkDiskSpace = require('check-disk-space').default;
+const { logger } = require('./logger');
+
+const DEFAULT_MIN_FREE_SPACE = 64 * 1024 * 1024;
+
+/**
+ * @typedef {Object} ScheduleOptions
+ * @property {string} [name] - Job name for logging
+ * @property {number} [estimatedSize] - Estimated disk space (bytes) needed by the job
+ */
+
+/**
+ * Concurrency-limited job scheduler which also respects free disk space.
+ *
+ * A job is started only if there is a free slot and the free disk space (minus space reserved by
+ * running jobs) can hold its estimated size. A job is always started if nothing else is running,
+ * so that an oversized job still gets a chance instead of waiting forever.
+ */
+class Scheduler {
+  /** @type {Array<{ fn: () => Promise<any>, options: ScheduleOptions, resolve: Function, reject: Function }>} */
+  queue = [];
+
+  running = 0;
+
+  reservedSize = 0;
+
+  pumping = false;
+
+  pumpAgain = false;
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.concurrency] - Max number of jobs running at the same time
+   * @param {string} [options.diskPath] - Path used to check free disk space. Disk space is not checked if omitted
+   * @param {number} [options.minFreeSpace] - Free disk space (bytes) always kept unreserved
+   */
+  constructor(options = {}) {
+    /** @type {number} */
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    /** @type {string | undefined} */
+    this.diskPath = options.diskPath;
+    /** @type {number} */
+    this.minFreeSpace = options.minFreeSpace ?? DEFAULT_MIN_FREE_SPACE;
+  }
+
+  /**
+   * Schedule a job
+   * @template T
+   * @param {() => Promise<T>} fn
+   * @param {ScheduleOptions} [options]
+   * @returns {Promise<T>} Settles with the job
+   */
+  run(fn, options = {}) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ fn, options, resolve, reject });
+      this.pump();
+    });
+  }
+
+  async hasSpaceFor(options) {
+    if (!this.diskPath || this.running === 0) {
+      return true;
+    }
+    const { free } = await checkDiskSpace(this.diskPath);
+    const required = (options.estimatedSize || 0) + this.reservedSize + this.minFreeSpace;
+    if (free < required) {
+      logger.info(
+        `[Scheduler] Waiting for disk space to run ${
+          options.name || 'job'
+        }: ${free} bytes free, ${required} bytes required`,
+      );
+      return false;
+    }
+    return true;
+  }
+
+  async pump() {
+    if (this.pumping) {
+      this.pumpAgain = true;
+      return;
+    }
+    this.pumping = true;
+    try {
+      do {
+        this.pumpAgain = false;
+        while (this.queue.length > 0 && this.running < this.concurrency) {
+          const next = this.queue[0];
+          let hasSpace;
+          try {
+            hasSpace = await this.hasSpaceFor(next.options);
+          } catch (err) {
+            logger.warn('[Scheduler] Failed to check disk space:', err);
+            hasSpace = true;
+          }
+          if (!hasSpace) {
+            break;
+          }
+          this.queue.shift();
+          this.start(next);
+        }
+      } while (this.pumpAgain);
+    } finally {
+      this.pumping = false;
+    }
+  }
+
+  start({ fn, options, resolve, reject }) {
+    const estimatedSize = options.estimatedSize || 0;
+    this.running++;
+    this.reservedSize += estimatedSize;
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        this.running--;
+        this.reservedSize -= estimatedSize;
+        this.pump();
+      });
+  }
+}
+
+module.exports = Scheduler;
@@ -0,0 +1,176 @@
+const fs = require('fs-extra');
+const COS = require('cos-nodejs-sdk-v5');
+const { logger } = require('../logger');
+const { putIfMatch } = require('./lock');
+
+const TIMEOUT = 5 * 60 * 1000;
+/** Default domain of the COS SDK, in the template format of its `Domain` option */
+const DEFAULT_DOMAIN = '{Bucket}.cos.{Region}.myqcloud.com';
+
+function normalizeETag(etag) {
+  return etag ? etag.replace(/"/g, '') : undefined;
+}
+
+/**
+ * Tencent Cloud COS storage backend
+ */
+class CosStorage {
+  name = 'cos';
+
+  /**
+   * @param {{ secretId?: string, secretKey?: string, domain?: string, bucket: string, region: string }} options
+   */
+  constructor(options) {
+    if (!options.bucket || !options.region) {
+      throw new Error('COS storage options must include bucket and region');
+    }
+    this.bucket = options.bucket;
+    this.region = options.region;
+    this.domain = options.domain;
+    this.cos = new COS({
+      SecretId: options.secretId,
+      SecretKey: options.secretKey,
+      Domain: options.domain,
+      Timeout: TIMEOUT,
+    });
+  }
+
+  get location() {
+    return {
+      Bucket: this.bucket,
+      Region: this.region,
+    };
+  }
+
+  /**
+   * Host of the bucket, resolved from the same domain the client sends requests to
+   * @returns {string}
+   */
+  get host() {
+    return (this.domain || DEFAULT_DOMAIN)
+      .replace(/^https?:\/\//, '')
+      .replace(/\/+$/, '')
+      .replace(/\{Bucket\}/g, this.bucket)
+      .replace(/\{Region\}/g, this.region);
+  }
+
+  async put(key, filePathOrBuffer, options = {}) {
+    if (!filePathOrBuffer || !key) {
+      throw new Error('Invalid COS upload parameters');
+    }
+    if (options.ifMatch) {
+      // COS ignores If-Match on uploads, so the check and the write are done under a lock
+      return putIfMatch(this, key, options.ifMatch, () => this.put(key, filePathOrBuffer));
+    }
+    const headers = {};
+    if (options.ifNoneMatch === '*') {
+      headers['x-cos-forbid-overwrite'] = 'true';
+    }
+    try {
+      let data;
+      if (Buffer.isBuffer(filePathOrBuffer)) {
+        logger.info(`Uploading buffer to COS: cos://${key} (${filePathOrBuffer.length} bytes)`);
+        data = await this.cos.putObject({
+          ...this.location,
+          Key: key,
+          Body: filePathOrBuffer,
+          Headers: headers,
+        });
+      } else {
+        logger.info(
+          `Uploading file to COS: ${filePathOrBuffer} -> cos://${key} (${
+            fs.statSync(filePathOrBuffer).size
+          } bytes)`,
+        );
+        data = await this.cos.uploadFile({
+          ...this.location,
+          Key: key,
+          FilePath: filePathOrBuffer,
+          Headers: headers,
+        });
+      }
+      return { etag: normalizeETag(data.ETag) };
+    } catch (err) {
+      // 409 is returned if the object exists while overwriting is forbidden
+      if (err.statusCode === 409 && options.ifNoneMatch) {
+        err.code = 'PreconditionFailed';
+      }
+      throw err;
+    }
+  }
+
+  async get(key) {
+    return (await this.getObject(key)).body;
+  }
+
+  async getObject(key) {
+    logger.info(`Fetching file content from COS: cos://${key}`);
+    const data = await this.cos.getObject({
+      ...this.location,
+      Key: key,
+    });
+    return { body: data.Body, etag: normalizeETag(data.ETag) };
+  }
+
+  async head(key) {
+    try {
+      const { headers } = await this.cos.headObject({
+        ...this.location,
+        Key: key,
+      });
+      return {
+        key,
+        size: parseInt(headers['content-length'], 10),
+        etag: normalizeETag(headers.etag),
+        lastModified: new Date(headers['last-modified']),
+      };
+    } catch (err) {
+      if (err.statusCode === 404) {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  async copy(sourceKey, key) {
+    logger.info(`Copying object in COS: cos://${sourceKey} -> cos://${key}`);
+    await this.cos.sliceCopyFile({
+      ...this.location,
+      Key: key,
+      CopySource: `${this.host}/${encodeURI(sourceKey)}`,
+    });
+  }
+
+  async list(prefix) {
+    const objects = [];
+    let marker;
+    do {
+      const data = await this.cos.getBucket({
+        ...this.location,
+        Prefix: prefix,
+        Marker: marker,
+        MaxKeys: 1000,
+      });
+      for (const item of data.Contents) {
+        objects.push({
+          key: item.Key,
+          size: parseInt(item.Size, 10),
+          etag: normalizeETag(item.ETag),
+          lastModified: new Date(item.LastModified),
+        });
+      }
+      marker = data.IsTruncated === 'true' ? data.NextMarker : undefined;
+    } while (marker);
+    return objects;
+  }
+
+  async delete(key) {
+    logger.info(`Deleting object from COS: cos://${key}`);
+    await this.cos.deleteObject({
+      ...this.location,
+      Key: key,
+    });
+  }
+}
+
+module.exports = CosStorage;
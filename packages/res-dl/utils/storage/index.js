@@ -0,0 +1,81 @@
+/**
+ * @typedef {Object} StorageObjectInfo
+ * @property {string} key - Object key
+ * @property {number} size - Size of the object in bytes
+ * @property {string} [etag] - Entity tag of the object (not necessarily the MD5 hash)
+ * @property {Date} [lastModified] - Last modified time
+ */
+
+/**
+ * @typedef {Object} StoragePutOptions
+ * @property {string} [ifMatch] - Only write if the current ETag of the object matches
+ * @property {'*'} [ifNoneMatch] - Only write if the object does not exist
+ */
+
+/**
+ * Conditional writes which are not satisfied reject with `err.code === 'PreconditionFailed'`.
+ * Backends which do not honour `If-Match` on writes emulate it with a lock object, see `./lock`
+ * @typedef {Object} Storage
+ * @property {string} name - Name of the storage driver
+ * @property {(key: string, filePathOrBuffer: string | Buffer, options?: StoragePutOptions) => Promise<{ etag?: string }>} put - Upload a local file or buffer
+ * @property {(key: string) => Promise<Buffer>} get - Get object content. Rejects with `err.code === 'NoSuchKey'` if not found
+ * @property {(key: string) => Promise<{ body: Buffer, etag?: string }>} getObject - Get object content and ETag. Rejects like `get`
+ * @property {(key: string) => Promise<StorageObjectInfo | null>} head - Get object info, or null if not found
+ * @property {(sourceKey: string, key: string) => Promise<void>} copy - Copy an object to another key
+ * @property {(prefix: string) => Promise<StorageObjectInfo[]>} list - List objects by key prefix
+ * @property {(key: string) => Promise<void>} delete - Delete an object
+ */
+
+const DRIVERS = {
+  cos: () => {
+    const CosStorage = require('./cos');
+    return new CosStorage({
+      secretId: process.env.COS_SECRET_ID,
+      secretKey: process.env.COS_SECRET_KEY,
+      domain: process.env.COS_DOMAIN,
+      bucket: process.env.COS_BUCKET,
+      region: process.env.COS_REGION,
+    });
+  },
+  local: () => {
+    const LocalStorage = require('./local');
+    return new LocalStorage({
+      root: process.env.LOCAL_STORAGE_ROOT,
+    });
+  },
+  s3: () => {
+    const S3Storage = require('./s3');
+    return new S3Storage({
+      endpoint: process.env.S3_ENDPOINT,
+      region: process.env.S3_REGION,
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+    });
+  },
+};
+
+/** @type {Storage} */
+let storage;
+
+/**
+ * Get the storage backend selected by `STORAGE_DRIVER` (default: `cos`)
+ * @returns {Storage}
+ */
+function getStorage() {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'cos';
+    if (!DRIVERS[driver]) {
+      throw new Error(
+        `Unknown storage driver: ${driver} (available: ${Object.keys(DRIVERS).join(', ')})`,
+      );
+    }
+    storage = DRIVERS[driver]();
+  }
+  return storage;
+}
+
+module.exports = {
+  getStorage,
+};
@@ -0,0 +1,147 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const md5File = require('md5-file');
+const { logger } = require('../logger');
+const { preconditionFailed, putIfMatch } = require('./lock');
+
+const toPosix = (p) => p.split(path.sep).join('/');
+const md5 = (content) => crypto.createHash('md5').update(content).digest('hex');
+
+/**
+ * Local filesystem storage backend. Object keys are mapped to files under the root directory.
+ */
+class LocalStorage {
+  name = 'local';
+
+  /**
+   * @param {{ root: string }} options
+   */
+  constructor(options) {
+    if (!options.root) {
+      throw new Error('Local storage options must include root directory');
+    }
+    this.root = path.resolve(options.root);
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (filePath !== this.root && !filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, filePathOrBuffer, options = {}) {
+    if (!filePathOrBuffer || !key) {
+      throw new Error('Invalid local storage upload parameters');
+    }
+    if (options.ifMatch) {
+      return putIfMatch(this, key, options.ifMatch, () => this.put(key, filePathOrBuffer));
+    }
+    const filePath = this.resolve(key);
+    await fs.ensureDir(path.dirname(filePath));
+    // write to a temporary file first, so that readers never see a partially written file
+    const tmpPath = `${filePath}.${crypto.randomBytes(8).toString('hex')}.tmp`;
+    if (Buffer.isBuffer(filePathOrBuffer)) {
+      logger.info(
+        `Writing buffer to local storage: ${filePath} (${filePathOrBuffer.length} bytes)`,
+      );
+      await fs.writeFile(tmpPath, filePathOrBuffer);
+    } else {
+      logger.info(`Copying file to local storage: ${filePathOrBuffer} -> ${filePath}`);
+      await fs.copyFile(filePathOrBuffer, tmpPath);
+    }
+    const etag = await md5File(tmpPath);
+    try {
+      if (options.ifNoneMatch === '*') {
+        // linking fails if the file exists, which makes the check and the write atomic
+        await fs.link(tmpPath, filePath).catch((err) => {
+          throw err.code === 'EEXIST' ? preconditionFailed(key) : err;
+        });
+      } else {
+        await fs.rename(tmpPath, filePath);
+      }
+    } finally {
+      await fs.remove(tmpPath);
+    }
+    return { etag };
+  }
+
+  async get(key) {
+    return (await this.getObject(key)).body;
+  }
+
+  async getObject(key) {
+    logger.info(`Reading file content from local storage: ${key}`);
+    try {
+      const body = await fs.readFile(this.resolve(key));
+      return { body, etag: md5(body) };
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        const error = new Error(`The specified key does not exist: ${key}`);
+        error.code = 'NoSuchKey';
+        throw error;
+      }
+      throw err;
+    }
+  }
+
+  async head(key) {
+    const filePath = this.resolve(key);
+    const st = await fs.stat(filePath).catch(() => null);
+    if (!st || !st.isFile()) {
+      return null;
+    }
+    return {
+      key,
+      size: st.size,
+      etag: await md5File(filePath),
+      lastModified: st.mtime,
+    };
+  }
+
+  async copy(sourceKey, key) {
+    logger.info(`Copying file in local storage: ${sourceKey} -> ${key}`);
+    const filePath = this.resolve(key);
+    await fs.ensureDir(path.dirname(filePath));
+    await fs.copyFile(this.resolve(sourceKey), filePath);
+  }
+
+  async list(prefix) {
+    const objects = [];
+    const walk = async (dir) => {
+      const names = await fs.readdir(dir).catch(() => []);
+      for (const name of names) {
+        const abs = path.join(dir, name);
+        const st = await fs.stat(abs);
+        if (st.isDirectory()) {
+          await walk(abs);
+          continue;
+        }
+        const key = toPosix(path.relative(this.root, abs));
+        if (key.startsWith(prefix)) {
+          objects.push({ key, size: st.size, lastModified: st.mtime });
+        }
+      }
+    };
+    await walk(this.root);
+    return objects.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  }
+
+  async delete(key) {
+    logger.info(`Deleting file from local storage: ${key}`);
+    const filePath = this.resolve(key);
+    await fs.remove(filePath);
+    // remove empty parent directories, as object storages have no directories
+    for (let dir = path.dirname(filePath); dir !== this.root; dir = path.dirname(dir)) {
+      const names = await fs.readdir(dir).catch(() => null);
+      if (!names || names.length > 0) {
+        break;
+      }
+      await fs.rmdir(dir);
+    }
+  }
+}
+
+module.exports = LocalStorage;
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const { logger } = require('../logger');
+
+/** Locks older than this were left by a crashed writer and may be taken over */
+const LOCK_TTL = 60 * 1000;
+/** Maximum time to wait for a lock held by another writer */
+const LOCK_WAIT = 30 * 1000;
+const LOCK_RETRY_INTERVAL = 500;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * @param {string} key
+ * @returns {Error}
+ */
+function preconditionFailed(key) {
+  const error = new Error(`Precondition failed for key: ${key}`);
+  error.code = 'PreconditionFailed';
+  return error;
+}
+
+/**
+ * Create the lock object, waiting while it is held by another writer
+ * @param {import('.').Storage} storage
+ * @param {string} lockKey
+ * @param {string} token - Identifies the holder of the lock
+ */
+async function acquireLock(storage, lockKey, token) {
+  const deadline = Date.now() + LOCK_WAIT;
+  for (;;) {
+    try {
+      await storage.put(lockKey, Buffer.from(token), { ifNoneMatch: '*' });
+      return;
+    } catch (err) {
+      if (err.code !== 'PreconditionFailed') {
+        throw err;
+      }
+    }
+    const lock = await storage.head(lockKey);
+    if (lock?.lastModified && Date.now() - lock.lastModified.getTime() > LOCK_TTL) {
+      logger.warn(`Removing stale lock ${lockKey} created at ${lock.lastModified.toISOString()}`);
+      await storage.delete(lockKey);
+      continue;
+    }
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for lock ${lockKey}`);
+    }
+    await sleep(LOCK_RETRY_INTERVAL);
+  }
+}
+
+/**
+ * Delete the lock object unless it has been taken over by another writer
+ * @param {import('.').Storage} storage
+ * @param {string} lockKey
+ * @param {string} token
+ */
+async function releaseLock(storage, lockKey, token) {
+  try {
+    if ((await storage.get(lockKey)).toString() === token) {
+      await storage.delete(lockKey);
+    }
+  } catch (err) {
+    // an unreleased lock only delays other writers until it becomes stale
+    logger.warn(`Failed to release lock ${lockKey}:`, err);
+  }
+}
+
+/**
+ * Write an object only if its current ETag matches, for backends which do not honour `If-Match`
+ * on writes. Writers hold the lock object `<key>.lock` while checking and writing, which is
+ * created with `ifNoneMatch: '*'`, so the backend must support that condition atomically
+ * @param {import('.').Storage} storage
+ * @param {string} key
+ * @param {string} ifMatch - Expected ETag of the object
+ * @param {() => Promise<{ etag?: string }>} write - Writes the object unconditionally
+ * @returns {Promise<{ etag?: string }>}
+ */
+async function putIfMatch(storage, key, ifMatch, write) {
+  const lockKey = `${key}.lock`;
+  const token = crypto.randomBytes(16).toString('hex');
+  await acquireLock(storage, lockKey, token);
+  try {
+    const current = await storage.head(key);
+    if (current?.etag !== ifMatch) {
+      throw preconditionFailed(key);
+    }
+    return await write();
+  } finally {
+    await releaseLock(storage, lockKey, token);
+  }
+}
+
+module.exports = {
+  preconditionFailed,
+  putIfMatch,
+};
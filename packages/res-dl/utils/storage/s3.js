@@ -0,0 +1,178 @@
+const fs = require('fs-extra');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectCommand,
+  CopyObjectCommand,
+} = require('@aws-sdk/client-s3');
+const { logger } = require('../logger');
+
+function normalizeETag(etag) {
+  return etag ? etag.replace(/"/g, '') : undefined;
+}
+
+/**
+ * S3-compatible storage backend (AWS S3, MinIO, etc.)
+ */
+class S3Storage {
+  name = 's3';
+
+  /**
+   * @param {{ endpoint?: string, region?: string, bucket: string, accessKeyId?: string, secretAccessKey?: string, forcePathStyle?: boolean }} options
+   */
+  constructor(options) {
+    if (!options.bucket) {
+      throw new Error('S3 storage options must include bucket');
+    }
+    this.bucket = options.bucket;
+    this.client = new S3Client({
+      endpoint: options.endpoint || undefined,
+      region: options.region || 'us-east-1',
+      forcePathStyle: !!options.forcePathStyle,
+      credentials:
+        options.accessKeyId && options.secretAccessKey
+          ? {
+              accessKeyId: options.accessKeyId,
+              secretAccessKey: options.secretAccessKey,
+            }
+          : undefined,
+    });
+  }
+
+  async put(key, filePathOrBuffer, options = {}) {
+    if (!filePathOrBuffer || !key) {
+      throw new Error('Invalid S3 upload parameters');
+    }
+    let body = filePathOrBuffer;
+    let size;
+    if (Buffer.isBuffer(filePathOrBuffer)) {
+      size = filePathOrBuffer.length;
+      logger.info(`Uploading buffer to S3: s3://${this.bucket}/${key} (${size} bytes)`);
+    } else {
+      size = fs.statSync(filePathOrBuffer).size;
+      logger.info(
+        `Uploading file to S3: ${filePathOrBuffer} -> s3://${this.bucket}/${key} (${size} bytes)`,
+      );
+      body = fs.createReadStream(filePathOrBuffer);
+    }
+    try {
+      const res = await this.client.send(
+        new PutObjectCommand({
+          Bucket: this.bucket,
+          Key: key,
+          Body: body,
+          ContentLength: size,
+          IfMatch: options.ifMatch ? `"${options.ifMatch}"` : undefined,
+          IfNoneMatch: options.ifNoneMatch,
+        }),
+      );
+      return { etag: normalizeETag(res.ETag) };
+    } catch (err) {
+      // 409 is returned if a concurrent conditional write is in progress
+      const statusCode = err.$metadata?.httpStatusCode;
+      if (statusCode === 412 || statusCode === 409) {
+        err.code = 'PreconditionFailed';
+      }
+      throw err;
+    }
+  }
+
+  async get(key) {
+    return (await this.getObject(key)).body;
+  }
+
+  async getObject(key) {
+    logger.info(`Fetching file content from S3: s3://${this.bucket}/${key}`);
+    try {
+      const res = await this.client.send(
+        new GetObjectCommand({
+          Bucket: this.bucket,
+          Key: key,
+        }),
+      );
+      return {
+        body: Buffer.from(await res.Body.transformToByteArray()),
+        etag: normalizeETag(res.ETag),
+      };
+    } catch (err) {
+      if (err.name === 'NoSuchKey') {
+        err.code = 'NoSuchKey';
+      }
+      throw err;
+    }
+  }
+
+  async head(key) {
+    try {
+      const res = await this.client.send(
+        new HeadObjectCommand({
+          Bucket: this.bucket,
+          Key: key,
+        }),
+      );
+      return {
+        key,
+        size: res.ContentLength,
+        etag: normalizeETag(res.ETag),
+        lastModified: res.LastModified,
+      };
+    } catch (err) {
+      if (err.name === 'NotFound' || err.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  async copy(sourceKey, key) {
+    logger.info(
+      `Copying object in S3: s3://${this.bucket}/${sourceKey} -> s3://${this.bucket}/${key}`,
+    );
+    await this.client.send(
+      new CopyObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        CopySource: `${this.bucket}/${encodeURI(sourceKey)}`,
+      }),
+    );
+  }
+
+  async list(prefix) {
+    const objects = [];
+    let continuationToken;
+    do {
+      const res = await this.client.send(
+        new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+        }),
+      );
+      for (const item of res.Contents || []) {
+        objects.push({
+          key: item.Key,
+          size: item.Size,
+          etag: normalizeETag(item.ETag),
+          lastModified: item.LastModified,
+        });
+      }
+      continuationToken = res.IsTruncated ? res.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return objects;
+  }
+
+  async delete(key) {
+    logger.info(`Deleting object from S3: s3://${this.bucket}/${key}`);
+    await this.client.send(
+      new DeleteObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+      }),
+    );
+  }
+}
+
+module.exports = S3Storage;
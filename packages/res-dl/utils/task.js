@@ -0,0 +1,89 @@
+/**
+ * @typedef {Object} TaskArgDefinition
+ * @property {'string' | 'boolean' | 'number' | 'string[]'} type - Type of the argument
+ * @property {string} description - Description of the argument
+ * @property {boolean} [required] - Whether the argument is required
+ * @property {string[]} [enum] - Allowed values (of each element for arrays)
+ */
+
+/**
+ * @typedef {Object} TaskDefinition
+ * @property {string} name - Task name, which is also the `type` of the event args
+ * @property {string} description - Short description of the task
+ * @property {string | null} schedule - Default timer cron expression (SCF 7-field format), or null if not scheduled
+ * @property {Record<string, TaskArgDefinition>} args - Supported args (except `type`)
+ * @property {string[]} platforms - Platforms handled by the task
+ * @property {number} [retention] - Number of previous versions kept in the resource index history
+ * @property {number} [concurrency] - Default number of download/upload pipelines running in parallel
+ * @property {(args: Record<string, any>) => Promise<any>} run - Task runner
+ */
+
+const ARG_TYPES = ['string', 'boolean', 'number', 'string[]'];
+
+/**
+ * Args supported by all resource tasks
+ * @type {Record<string, TaskArgDefinition>}
+ */
+const RESOURCE_TASK_ARGS = {
+  dryRun: {
+    type: 'boolean',
+    description: 'Only resolve upstream versions and return the plan',
+  },
+  force: {
+    type: 'boolean',
+    description: 'Re-download and re-upload even if the version is up-to-date',
+  },
+  concurrency: {
+    type: 'number',
+    description: 'Number of download/upload pipelines running in parallel',
+  },
+};
+
+/**
+ * Create the definition of the `platforms` arg
+ * @param {string[]} platforms - Allowed platforms
+ * @returns {TaskArgDefinition}
+ */
+function platformsArg(platforms) {
+  return {
+    type: 'string[]',
+    description: 'Only process these platforms',
+    enum: platforms,
+  };
+}
+
+/**
+ * Define a task to be registered in the task registry
+ * @param {TaskDefinition} definition
+ * @returns {TaskDefinition}
+ */
+function defineTask(definition) {
+  const { name, schedule = null, args = {}, platforms = [], run } = definition;
+  if (!name || !/^[a-z][a-z0-9_]*$/.test(name)) {
+    throw new Error(`Invalid task name: ${name}`);
+  }
+  if (typeof run !== 'function') {
+    throw new Error(`Task ${name} must have a run function`);
+  }
+  if (schedule !== null && schedule.trim().split(/\s+/).length !== 7) {
+    throw new Error(`Invalid schedule of task ${name}: ${schedule}`);
+  }
+  for (const [argName, argDef] of Object.entries(args)) {
+    if (!ARG_TYPES.includes(argDef.type)) {
+      throw new Error(`Invalid type of arg ${argName} in task ${name}: ${argDef.type}`);
+    }
+  }
+  return Object.freeze({
+    description: '',
+    ...definition,
+    schedule,
+    args,
+    platforms,
+  });
+}
+
+module.exports = {
+  RESOURCE_TASK_ARGS,
+  platformsArg,
+  defineTask,
+};
@@ -0,0 +1,174 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { logger } = require('./logger');
+const { ZipReader } = require('./zip');
+
+/** Reject an artifact if it is smaller than this ratio of the previously published one */
+const MIN_SIZE_RATIO = 0.5;
+
+const KINDS_BY_EXTENSION = {
+  '.exe': 'pe',
+  '.zip': 'zip',
+  '.vsix': 'vsix',
+  '.gz': 'gzip',
+  '.tgz': 'gzip',
+  '.deb': 'deb',
+};
+
+const VSIX_REQUIRED_ENTRIES = ['extension.vsixmanifest', 'extension/package.json'];
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+/** Debian packages are ar archives starting with the `debian-binary` member */
+const DEB_MAGIC = Buffer.from('!<arch>\ndebian-binary', 'latin1');
+
+class ArtifactValidationError extends Error {
+  name = 'ArtifactValidationError';
+}
+
+/**
+ * Get the kind of an artifact by its file name
+ * @param {string} fileName
+ * @returns {'pe' | 'zip' | 'vsix' | 'gzip' | 'deb' | undefined} Undefined if the kind is unknown
+ */
+function getArtifactKind(fileName) {
+  return KINDS_BY_EXTENSION[path.extname(fileName).toLowerCase()];
+}
+
+async function readBytes(filePath, position, length) {
+  const fd = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await fs.read(fd, buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await fs.close(fd);
+  }
+}
+
+/**
+ * Check the MZ and PE headers of a Windows executable
+ * @param {string} filePath
+ */
+async function validatePe(filePath) {
+  const dosHeader = await readBytes(filePath, 0, 64);
+  if (dosHeader.length < 64 || dosHeader.toString('latin1', 0, 2) !== 'MZ') {
+    throw new ArtifactValidationError(
+      `Not a Windows executable, MZ header not found: ${describeHead(dosHeader)}`,
+    );
+  }
+  const peOffset = dosHeader.readUInt32LE(0x3c);
+  const signature = await readBytes(filePath, peOffset, 4);
+  if (signature.toString('latin1') !== 'PE\0\0') {
+    throw new ArtifactValidationError(`Not a Windows executable, PE header not found`);
+  }
+}
+
+/**
+ * Check the magic bytes at the start of a file
+ * @param {string} filePath
+ * @param {Buffer} magic
+ * @param {string} description - Kind of the file for error messages
+ */
+async function validateMagic(filePath, magic, description) {
+  const head = await readBytes(filePath, 0, 64);
+  if (!head.subarray(0, magic.length).equals(magic)) {
+    throw new ArtifactValidationError(
+      `Not ${description}, file starts with: ${describeHead(head)}`,
+    );
+  }
+}
+
+/**
+ * Check the central directory of a zip, and the required entries if any
+ * @param {string} filePath
+ * @param {string[]} [requiredEntries]
+ */
+async function validateZip(filePath, requiredEntries = []) {
+  let zip;
+  try {
+    zip = await ZipReader.open(filePath);
+  } catch (err) {
+    const head = await readBytes(filePath, 0, 64);
+    throw new ArtifactValidationError(
+      `Not a valid zip (${err.message}), file starts with: ${describeHead(head)}`,
+    );
+  }
+  try {
+    if (zip.entries.length === 0) {
+      throw new ArtifactValidationError('Zip archive is empty');
+    }
+    const missing = requiredEntries.filter((name) => !zip.getEntry(name));
+    if (missing.length > 0) {
+      throw new ArtifactValidationError(`Missing required entries: ${missing.join(', ')}`);
+    }
+  } finally {
+    await zip.close();
+  }
+}
+
+/**
+ * Describe the first bytes of a file for error messages, e.g. an HTML error page
+ * @param {Buffer} head
+ * @returns {string}
+ */
+function describeHead(head) {
+  return JSON.stringify(head.toString('latin1').replace(/[^\x20-\x7e]/g, '.'));
+}
+
+/**
+ * Check that a downloaded artifact is a valid file of its kind and not drastically smaller than
+ * the previously published one
+ * @param {string} filePath
+ * @param {Object} [options]
+ * @param {string} [options.fileName] - Name used to infer the kind. Defaults to the local file name
+ * @param {number} [options.previousSize] - Size of the previously published item of the same key
+ * @returns {Promise<void>}
+ * @throws {ArtifactValidationError} With the reason if the artifact is invalid
+ */
+async function validateArtifact(filePath, options = {}) {
+  const { fileName = path.basename(filePath), previousSize } = options;
+  const { size } = await fs.stat(filePath);
+  if (size === 0) {
+    throw new ArtifactValidationError(`${fileName} is empty`);
+  }
+  if (previousSize && size < previousSize * MIN_SIZE_RATIO) {
+    throw new ArtifactValidationError(
+      `${fileName} is ${size} bytes, drastically smaller than the previously published ${previousSize} bytes`,
+    );
+  }
+
+  const kind = getArtifactKind(fileName);
+  try {
+    switch (kind) {
+      case 'pe':
+        await validatePe(filePath);
+        break;
+      case 'zip':
+        await validateZip(filePath);
+        break;
+      case 'vsix':
+        await validateZip(filePath, VSIX_REQUIRED_ENTRIES);
+        break;
+      case 'gzip':
+        await validateMagic(filePath, GZIP_MAGIC, 'a gzip file');
+        break;
+      case 'deb':
+        await validateMagic(filePath, DEB_MAGIC, 'a Debian package');
+        break;
+      default:
+        logger.info(`No validation for the file type of ${fileName}, only size is checked.`);
+        return;
+    }
+  } catch (err) {
+    if (err instanceof ArtifactValidationError) {
+      err.message = `${fileName}: ${err.message}`;
+    }
+    throw err;
+  }
+  logger.info(`Validated ${fileName} as ${kind}`);
+}
+
+module.exports = {
+  ArtifactValidationError,
+  getArtifactKind,
+  validateArtifact,
+};
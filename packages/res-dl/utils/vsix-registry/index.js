@@ -0,0 +1,64 @@
+/**
+ * @typedef {Object} VsixVersionInfo
+ * @property {string} version - Full version
+ * @property {string} platform - Target platform, `universal` if the build is not platform-specific
+ * @property {boolean} preRelease - Whether the version is a pre-release
+ * @property {string} [engine] - Required VSCode version range (`engines.vscode`)
+ * @property {string[]} extensionDependencies - Lowercase ids of extensions it depends on
+ * @property {string[]} extensionPack - Lowercase ids of extensions it bundles as an extension pack
+ */
+
+/**
+ * Failures of requests to the registry reject, so that callers can fall back to another registry
+ * @typedef {Object} VsixRegistry
+ * @property {string} name - Name of the registry
+ * @property {(extensionId: string) => Promise<VsixVersionInfo[]>} getVersions - Get all versions and platform builds of an extension, newest first
+ * @property {(extensionId: string, platform: string, version: string) => string} getDownloadUrl - Get the download URL of a vsix
+ * @property {(extensionId: string, platform: string, version: string) => Promise<import('../checksum').Checksum | undefined>} getChecksum - Get the checksum of a vsix published by the registry, or undefined if not available
+ */
+
+const REGISTRIES = {
+  marketplace: () => {
+    const MarketplaceRegistry = require('./marketplace');
+    return new MarketplaceRegistry();
+  },
+  'open-vsx': () => {
+    const OpenVsxRegistry = require('./open-vsx');
+    return new OpenVsxRegistry({
+      url: process.env.OPEN_VSX_URL,
+    });
+  },
+};
+
+/** @type {Map<string, VsixRegistry>} */
+const registries = new Map();
+
+/**
+ * Get names of the available registries
+ * @returns {string[]}
+ */
+function getRegistryNames() {
+  return Object.keys(REGISTRIES);
+}
+
+/**
+ * Get an extension registry by name
+ * @param {string} name - `marketplace` or `open-vsx`
+ * @returns {VsixRegistry}
+ */
+function getRegistry(name) {
+  if (!registries.has(name)) {
+    if (!REGISTRIES[name]) {
+      throw new Error(
+        `Unknown extension registry: ${name} (available: ${getRegistryNames().join(', ')})`,
+      );
+    }
+    registries.set(name, REGISTRIES[name]());
+  }
+  return registries.get(name);
+}
+
+module.exports = {
+  getRegistry,
+  getRegistryNames,
+};
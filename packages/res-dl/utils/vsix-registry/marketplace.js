@@ -0,0 +1,130 @@
+const got = require('got');
+const { logger } = require('../logger');
+const { ZipReader } = require('../zip');
+const { normalizeExtensionIds } = require('../vsix');
+
+const MARKETPLACE_URL = 'https://marketplace.visualstudio.com';
+
+/**
+ * Get a property of a version in the marketplace response
+ * @param {{ properties?: Array<{ key: string, value: string }> }} versionInfo
+ * @param {string} key
+ * @returns {string | undefined}
+ */
+function getVersionProperty(versionInfo, key) {
+  return versionInfo.properties?.find((p) => p.key === key)?.value;
+}
+
+/**
+ * Visual Studio Marketplace (marketplace.visualstudio.com)
+ */
+class MarketplaceRegistry {
+  name = 'marketplace';
+
+  /**
+   * @param {string} extensionId
+   * @returns {Promise<import('./index').VsixVersionInfo[]>}
+   */
+  async getVersions(extensionId) {
+    // @see https://github.com/microsoft/vscode/blob/b43174e1b275850f5b80d170e47c1c04eb780790/src/vs/platform/extensionManagement/node/extensionGalleryService.ts#L94-L103
+    // @see https://github.com/microsoft/vscode/blob/main/src/vs/platform/extensionManagement/common/extensionGalleryManifestService.ts
+    const requestBody = {
+      assetTypes: null,
+      filters: [
+        {
+          criteria: [
+            {
+              filterType: 7,
+              value: extensionId,
+            },
+          ],
+          direction: 2,
+          pageSize: 1,
+          pageNumber: 1,
+          sortBy: 0,
+          sortOrder: 0,
+          pagingToken: null,
+        },
+      ],
+      flags: 2167,
+    };
+
+    let versions;
+    try {
+      const { body } = await got.post(`${MARKETPLACE_URL}/_apis/public/gallery/extensionquery`, {
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json;api-version=7.2-preview.1;excludeUrls=true',
+        },
+        body: JSON.stringify(requestBody),
+        responseType: 'json',
+      });
+
+      if (!body.results?.[0]?.extensions?.[0]?.versions) {
+        throw new Error('No version information found in marketplace response');
+      }
+      versions = body.results[0].extensions[0].versions;
+    } catch (err) {
+      throw new Error(`Marketplace API request failed: ${err.message}`);
+    }
+
+    // versions are sorted from newest to oldest
+    return versions.map((v) => ({
+      version: v.version,
+      platform: v.targetPlatform || 'universal',
+      preRelease: getVersionProperty(v, 'Microsoft.VisualStudio.Code.PreRelease') === 'true',
+      engine: getVersionProperty(v, 'Microsoft.VisualStudio.Code.Engine'),
+      extensionDependencies: normalizeExtensionIds(
+        getVersionProperty(v, 'Microsoft.VisualStudio.Code.ExtensionDependencies'),
+      ),
+      extensionPack: normalizeExtensionIds(
+        getVersionProperty(v, 'Microsoft.VisualStudio.Code.ExtensionPack'),
+      ),
+    }));
+  }
+
+  getDownloadUrl(extensionId, platform, version) {
+    const [publisher, extensionName] = extensionId.split('.');
+    return `${MARKETPLACE_URL}/_apis/public/gallery/publishers/${publisher}/vsextensions/${extensionName}/${version}/vspackage${
+      platform !== 'universal' ? `?targetPlatform=${platform}` : ''
+    }`;
+  }
+
+  /**
+   * Get the checksum from the vsix signature. The marketplace provides the
+   * `Microsoft.VisualStudio.Services.VsixSignature` asset (a zip) for signed extensions, whose
+   * `.signature.manifest` records the SHA-256 of the whole vsix
+   * @returns {Promise<import('../checksum').Checksum | undefined>} Undefined if the extension is not signed
+   */
+  async getChecksum(extensionId, platform, version) {
+    const [publisher, extensionName] = extensionId.split('.');
+    const url = `https://${publisher}.gallery.vsassets.io/_apis/public/gallery/publisher/${publisher}/extension/${extensionName}/${version}/assetbyname/Microsoft.VisualStudio.Services.VsixSignature${
+      platform !== 'universal' ? `?targetPlatform=${platform}` : ''
+    }`;
+
+    let body;
+    try {
+      ({ body } = await got(url, { responseType: 'buffer' }));
+    } catch (err) {
+      if (err.response?.statusCode === 404) {
+        logger.info(`No signature found for ${extensionId}@${version}-${platform}`);
+        return undefined;
+      }
+      throw new Error(
+        `Failed to download VSIX signature (${extensionId}@${version}-${platform}): ${err.message}`,
+      );
+    }
+
+    const zip = await ZipReader.fromBuffer(body);
+    const manifest = JSON.parse((await zip.read('.signature.manifest')).toString('utf-8'));
+    const digest = manifest.package?.digests?.sha256;
+    if (!digest) {
+      throw new Error(
+        `No package digest found in VSIX signature manifest (${extensionId}@${version}-${platform})`,
+      );
+    }
+    return { algorithm: 'sha256', value: digest, source: 'marketplace-signature-manifest' };
+  }
+}
+
+module.exports = MarketplaceRegistry;
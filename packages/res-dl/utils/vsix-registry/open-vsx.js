@@ -0,0 +1,123 @@
+const got = require('got');
+const semver = require('semver');
+const { logger } = require('../logger');
+const { normalizeExtensionIds } = require('../vsix');
+
+const DEFAULT_URL = 'https://open-vsx.org';
+const PAGE_SIZE = 100;
+
+/**
+ * Convert references to other extensions in the Open VSX API, which are either ids or
+ * `{ namespace, extension }` objects, to lowercase ids
+ * @param {Array<string | { namespace: string, extension: string }> | undefined} refs
+ * @returns {string[]}
+ */
+function toExtensionIds(refs) {
+  return normalizeExtensionIds(
+    (refs || []).map((ref) =>
+      typeof ref === 'string' ? ref : `${ref.namespace}.${ref.extension}`,
+    ),
+  );
+}
+
+/**
+ * Compare versions from newest to oldest, invalid versions last
+ */
+function compareVersionsDesc(a, b) {
+  const validA = semver.valid(a);
+  const validB = semver.valid(b);
+  if (validA && validB) {
+    return semver.rcompare(validA, validB);
+  }
+  return validA ? -1 : validB ? 1 : 0;
+}
+
+/**
+ * Open VSX registry (open-vsx.org or a self-hosted instance)
+ * @see https://open-vsx.org/swagger-ui/index.html
+ */
+class OpenVsxRegistry {
+  name = 'open-vsx';
+
+  /**
+   * @param {{ url?: string }} [options] - Base URL of the registry. Defaults to https://open-vsx.org
+   */
+  constructor(options = {}) {
+    this.url = (options.url || DEFAULT_URL).replace(/\/+$/, '');
+  }
+
+  /**
+   * @param {string} extensionId
+   * @returns {Promise<import('./index').VsixVersionInfo[]>}
+   */
+  async getVersions(extensionId) {
+    const extensions = [];
+    try {
+      for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { body } = await got(`${this.url}/api/-/query`, {
+          searchParams: {
+            extensionId,
+            includeAllVersions: true,
+            size: PAGE_SIZE,
+            offset,
+          },
+          responseType: 'json',
+        });
+        extensions.push(...(body.extensions || []));
+        if (!body.totalSize || extensions.length >= body.totalSize || !body.extensions?.length) {
+          break;
+        }
+      }
+    } catch (err) {
+      throw new Error(`Open VSX API request failed: ${err.message}`);
+    }
+    if (extensions.length === 0) {
+      throw new Error(`Extension ${extensionId} not found in Open VSX`);
+    }
+
+    return extensions
+      .map((ext) => ({
+        version: ext.version,
+        platform: ext.targetPlatform || 'universal',
+        preRelease: !!ext.preRelease,
+        engine: ext.engines?.vscode,
+        extensionDependencies: toExtensionIds(ext.dependencies),
+        extensionPack: toExtensionIds(ext.bundledExtensions),
+      }))
+      .sort((a, b) => compareVersionsDesc(a.version, b.version));
+  }
+
+  getFileUrl(extensionId, platform, version, ext) {
+    const [namespace, extensionName] = extensionId.split('.');
+    return platform !== 'universal'
+      ? `${this.url}/api/${namespace}/${extensionName}/${platform}/${version}/file/${namespace}.${extensionName}-${version}@${platform}.${ext}`
+      : `${this.url}/api/${namespace}/${extensionName}/${version}/file/${namespace}.${extensionName}-${version}.${ext}`;
+  }
+
+  getDownloadUrl(extensionId, platform, version) {
+    return this.getFileUrl(extensionId, platform, version, 'vsix');
+  }
+
+  /**
+   * Get the checksum from the `.sha256` file Open VSX publishes along with each vsix
+   * @returns {Promise<import('../checksum').Checksum | undefined>} Undefined if not available
+   */
+  async getChecksum(extensionId, platform, version) {
+    let body;
+    try {
+      ({ body } = await got(this.getFileUrl(extensionId, platform, version, 'sha256')));
+    } catch (err) {
+      if (err.response?.statusCode === 404) {
+        logger.info(`No sha256 found in Open VSX for ${extensionId}@${version}-${platform}`);
+        return undefined;
+      }
+      throw new Error(
+        `Failed to download sha256 from Open VSX (${extensionId}@${version}-${platform}): ${err.message}`,
+      );
+    }
+    // the file contains the hex digest, optionally followed by the file name
+    return { algorithm: 'sha256', value: body.trim().split(/\s+/)[0], source: 'open-vsx-sha256' };
+  }
+}
+
+module.exports = OpenVsxRegistry;
@@ -0,0 +1,265 @@
+const semver = require('semver');
+const { logger } = require('./logger');
+const { ZipReader } = require('./zip');
+const { ArtifactValidationError } = require('./validate');
+
+const MANIFEST_ENTRY = 'extension.vsixmanifest';
+const PACKAGE_JSON_ENTRY = 'extension/package.json';
+
+const XML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+};
+
+/**
+ * @typedef {Object} VsixInfo
+ * @property {string} publisher - Publisher in package.json
+ * @property {string} name - Name in package.json
+ * @property {string} version - Version in package.json
+ * @property {Record<string, string>} identity - Attributes of `PackageManifest/Metadata/Identity` in the vsixmanifest
+ * @property {string | undefined} targetPlatform - Target platform in the vsixmanifest, undefined if universal
+ * @property {string | undefined} engine - `engines.vscode` in package.json
+ * @property {string[]} extensionDependencies - Lowercase ids of `extensionDependencies` in package.json
+ * @property {string[]} extensionPack - Lowercase ids of `extensionPack` in package.json
+ */
+
+/**
+ * Dependencies of an extension in the dependency graph
+ * @typedef {Object} VsixGraphNode
+ * @property {string[]} extensionDependencies - Lowercase ids of extensions it depends on
+ * @property {string[]} extensionPack - Lowercase ids of extensions it bundles as an extension pack
+ */
+
+function decodeXmlEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, entity) => {
+    if (entity[0] === '#') {
+      return String.fromCodePoint(
+        entity[1].toLowerCase() === 'x'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10),
+      );
+    }
+    return XML_ENTITIES[entity] ?? m;
+  });
+}
+
+/**
+ * Parse attributes of the `Identity` element in a vsixmanifest
+ * @param {string} manifest
+ * @returns {Record<string, string>}
+ */
+function parseManifestIdentity(manifest) {
+  const element = /<Identity\b([^>]*?)\/?>/.exec(manifest);
+  if (!element) {
+    throw new ArtifactValidationError(`Identity not found in ${MANIFEST_ENTRY}`);
+  }
+  const identity = {};
+  for (const [, name, value] of element[1].matchAll(/([\w:.-]+)\s*=\s*"([^"]*)"/g)) {
+    identity[name] = decodeXmlEntities(value);
+  }
+  return identity;
+}
+
+/**
+ * Normalize a list of extension ids to unique lowercase ids
+ * @param {string[] | string | undefined} ids - Array, or comma-separated string as in marketplace properties
+ * @returns {string[]}
+ */
+function normalizeExtensionIds(ids) {
+  const list = typeof ids === 'string' ? ids.split(',') : Array.isArray(ids) ? ids : [];
+  return [...new Set(list.map((id) => String(id).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Check if an extension is built into VSCode, which is never published to the marketplace
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isBuiltinExtension(id) {
+  return id.toLowerCase().startsWith('vscode.');
+}
+
+/**
+ * Get the order to install extensions, where dependencies and extension pack members are
+ * installed before the extensions requiring them. Cycles are broken arbitrarily
+ * @param {Record<string, VsixGraphNode>} graph - Nodes by lowercase extension id
+ * @returns {string[]} Extension ids in the graph
+ */
+function getInstallOrder(graph) {
+  const order = [];
+  const visiting = new Set();
+  const visited = new Set();
+  const visit = (id) => {
+    if (visited.has(id)) {
+      return;
+    }
+    if (visiting.has(id)) {
+      logger.warn(`Dependency cycle detected at extension ${id}`);
+      return;
+    }
+    visiting.add(id);
+    const node = graph[id];
+    for (const dep of [...node.extensionDependencies, ...node.extensionPack]) {
+      if (graph[dep]) {
+        visit(dep);
+      }
+    }
+    visiting.delete(id);
+    visited.add(id);
+    order.push(id);
+  };
+  Object.keys(graph).sort().forEach(visit);
+  return order;
+}
+
+/**
+ * Read package.json and the vsixmanifest of a vsix
+ * @param {string} filePath
+ * @returns {Promise<VsixInfo>}
+ */
+async function readVsixInfo(filePath) {
+  const zip = await ZipReader.open(filePath);
+  try {
+    let packageJson;
+    try {
+      packageJson = JSON.parse((await zip.read(PACKAGE_JSON_ENTRY)).toString('utf-8'));
+    } catch (err) {
+      throw new ArtifactValidationError(`Invalid ${PACKAGE_JSON_ENTRY}: ${err.message}`);
+    }
+    const identity = parseManifestIdentity((await zip.read(MANIFEST_ENTRY)).toString('utf-8'));
+    return {
+      publisher: packageJson.publisher,
+      name: packageJson.name,
+      version: packageJson.version,
+      identity,
+      targetPlatform: identity.TargetPlatform || undefined,
+      engine: packageJson.engines?.vscode,
+      extensionDependencies: normalizeExtensionIds(packageJson.extensionDependencies),
+      extensionPack: normalizeExtensionIds(packageJson.extensionPack),
+    };
+  } finally {
+    await zip.close();
+  }
+}
+
+/**
+ * Check that a vsix is the requested extension, version and target platform
+ * @param {string} filePath
+ * @param {Object} expected
+ * @param {string} expected.id - Extension id (`<publisher>.<name>`, case-insensitive)
+ * @param {string} expected.version
+ * @param {string} expected.platform - Target platform, or `universal`
+ * @returns {Promise<VsixInfo>}
+ * @throws {ArtifactValidationError} If the vsix does not match
+ */
+async function verifyVsix(filePath, { id, version, platform }) {
+  const info = await readVsixInfo(filePath);
+  const mismatches = [];
+  const packageId = `${info.publisher}.${info.name}`;
+  if (packageId.toLowerCase() !== id.toLowerCase()) {
+    mismatches.push(`id ${packageId} in package.json`);
+  }
+  const manifestId = `${info.identity.Publisher}.${info.identity.Id}`;
+  if (manifestId.toLowerCase() !== id.toLowerCase()) {
+    mismatches.push(`id ${manifestId} in ${MANIFEST_ENTRY}`);
+  }
+  if (info.version !== version) {
+    mismatches.push(`version ${info.version} in package.json`);
+  }
+  if (info.identity.Version !== version) {
+    mismatches.push(`version ${info.identity.Version} in ${MANIFEST_ENTRY}`);
+  }
+  const targetPlatform = info.targetPlatform || 'universal';
+  if (targetPlatform !== platform) {
+    mismatches.push(`target platform ${targetPlatform}`);
+  }
+  if (mismatches.length > 0) {
+    throw new ArtifactValidationError(
+      `VSIX does not match ${id}@${version}-${platform}: ${mismatches.join(', ')}`,
+    );
+  }
+  return info;
+}
+
+/**
+ * Check whether a VSCode version satisfies the range an extension requires (`engines.vscode`)
+ * @param {string | undefined} engine - Version range, e.g. "^1.80.0"
+ * @param {string} vscodeVersion - VSCode version, e.g. "1.95.3"
+ * @returns {boolean} False if the extension declares no range
+ */
+function isEngineCompatible(engine, vscodeVersion) {
+  if (!engine) {
+    return false;
+  }
+  return semver.satisfies(vscodeVersion, engine, { includePrerelease: true });
+}
+
+/**
+ * Select the latest version matching the conditions from the versions of a registry
+ * @param {import('./vsix-registry').VsixVersionInfo[]} versions - Versions from newest to oldest
+ * @param {string} extensionId
+ * @param {Object} options
+ * @param {string} [options.vscodeVersion] - If set, select the latest version compatible with this VSCode
+ * @param {string} [options.versionRange] - If set, only select versions in this semver range or exact version
+ * @param {boolean} [options.preRelease] - Whether pre-release versions may be selected
+ * @returns {import('./vsix-registry').VsixVersionInfo}
+ * @throws {Error} If no version matches
+ */
+function selectVersion(versions, extensionId, { vscodeVersion, versionRange, preRelease }) {
+  const candidates = versions.filter(
+    (v) =>
+      (preRelease || !v.preRelease) &&
+      (!versionRange ||
+        semver.satisfies(v.version, versionRange, { includePrerelease: preRelease })),
+  );
+  const description = `${preRelease ? '' : 'release '}version of ${extensionId}${
+    versionRange ? ` matching ${versionRange}` : ''
+  }`;
+  if (candidates.length === 0) {
+    throw new Error(`No ${description} found`);
+  }
+  // versions are sorted from newest to oldest, take the first compatible one
+  const latestVersion = vscodeVersion
+    ? candidates.find((v) => isEngineCompatible(v.engine, vscodeVersion))
+    : candidates[0];
+  if (!latestVersion) {
+    throw new Error(
+      `No ${description} is compatible with VSCode ${vscodeVersion} (latest ${candidates[0].version} requires ${candidates[0].engine})`,
+    );
+  }
+  if (latestVersion !== candidates[0]) {
+    logger.info(
+      `Latest ${description} ${candidates[0].version} is not compatible with VSCode ${vscodeVersion}, using ${latestVersion.version}`,
+    );
+  }
+  return latestVersion;
+}
+
+/**
+ * Get the lowest mirrored VSCode version among the given keys of the VSCode index.
+ * Deprecated items are no longer mirrored and pinned items are held back on purpose, so neither caps the version
+ * @param {Record<string, import('./res-index-mgr').ResourceIndexItem>} index - VSCode index
+ * @param {string[]} keys - Index keys used by the clients
+ * @returns {{ key: string, version: string } | undefined} The key holding the lowest version, undefined if none
+ */
+function getVSCodeVersionCap(index, keys) {
+  return keys
+    .filter((key) => index[key] && !index[key].deprecated && !index[key].pinned)
+    .map((key) => ({ key, version: semver.valid(index[key].version) }))
+    .filter(({ version }) => version)
+    .sort((a, b) => semver.compare(a.version, b.version))[0];
+}
+
+module.exports = {
+  normalizeExtensionIds,
+  isBuiltinExtension,
+  getInstallOrder,
+  readVsixInfo,
+  verifyVsix,
+  isEngineCompatible,
+  selectVersion,
+  getVSCodeVersionCap,
+};
@@ -0,0 +1,522 @@
+const fs = require('fs-extra');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { pipeline } = require('stream/promises');
+
+const inflateRaw = promisify(zlib.inflateRaw);
+
+const EOCD_SIGNATURE = 0x06054b50;
+const ZIP64_EOCD_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const EOCD_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const MAX_UINT16 = 0xffff;
+const MAX_UINT32 = 0xffffffff;
+/** Limits of ZipWriter, which does not write zip64. 0xffff entries or 0xffffffff bytes would mark the zip as zip64 */
+const MAX_ZIP_ENTRIES = MAX_UINT16 - 1;
+const MAX_ZIP_SIZE = MAX_UINT32 - 1;
+/** Size of the compressed data read at a time when extracting */
+const EXTRACT_CHUNK_SIZE = 1024 * 1024;
+/** Deflate level of ZipWriter, fixed so the output is reproducible */
+const DEFLATE_LEVEL = 6;
+/** Version made by: Unix, spec 2.0 */
+const VERSION_MADE_BY = (3 << 8) | 20;
+const VERSION_NEEDED = 20;
+const FLAG_UTF8 = 0x0800;
+
+const CRC32_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+/**
+ * Compute CRC32, using zlib.crc32 if the runtime provides it
+ * @param {Buffer} data
+ * @param {number} [value] - CRC32 of the preceding data
+ * @returns {number} Unsigned CRC32
+ */
+function crc32(data, value = 0) {
+  if (typeof zlib.crc32 === 'function') {
+    return zlib.crc32(data, value);
+  }
+  let crc = ~value;
+  for (let i = 0; i < data.length; i++) {
+    crc = CRC32_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+/**
+ * Convert a date to MS-DOS time and date in UTC
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+function toDosDateTime(date) {
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | (date.getUTCSeconds() >> 1),
+    date:
+      (Math.max(date.getUTCFullYear() - 1980, 0) << 9) |
+      ((date.getUTCMonth() + 1) << 5) |
+      date.getUTCDate(),
+  };
+}
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name - Entry path, directories end with `/`
+ * @property {number} method - Compression method (0: stored, 8: deflate)
+ * @property {number} flags - General purpose bit flags
+ * @property {number} crc32
+ * @property {number} compressedSize
+ * @property {number} size - Uncompressed size
+ * @property {number} localHeaderOffset
+ */
+
+class InvalidZipError extends Error {
+  name = 'InvalidZipError';
+}
+
+/**
+ * Minimal zip reader, which reads the central directory and extracts stored or deflated entries.
+ * Supports zip64, but not encryption or multi-disk archives.
+ */
+class ZipReader {
+  /** @type {ZipEntry[]} */
+  entries = [];
+
+  /**
+   * @param {(position: number, length: number) => Promise<Buffer>} readAt
+   * @param {number} size - Size of the archive in bytes
+   * @param {() => Promise<void>} [close]
+   */
+  constructor(readAt, size, close) {
+    this.readAt = readAt;
+    this.size = size;
+    this.closeFn = close;
+  }
+
+  /**
+   * Open a zip file
+   * @param {string} filePath
+   * @returns {Promise<ZipReader>}
+   */
+  static async open(filePath) {
+    const fd = await fs.open(filePath, 'r');
+    try {
+      const { size } = await fs.fstat(fd);
+      const reader = new ZipReader(
+        async (position, length) => {
+          const buffer = Buffer.alloc(length);
+          const { bytesRead } = await fs.read(fd, buffer, 0, length, position);
+          return buffer.subarray(0, bytesRead);
+        },
+        size,
+        () => fs.close(fd),
+      );
+      await reader.load();
+      return reader;
+    } catch (err) {
+      await fs.close(fd);
+      throw err;
+    }
+  }
+
+  /**
+   * Open a zip archive in memory
+   * @param {Buffer} buffer
+   * @returns {Promise<ZipReader>}
+   */
+  static async fromBuffer(buffer) {
+    const reader = new ZipReader(
+      async (position, length) => buffer.subarray(position, position + length),
+      buffer.length,
+    );
+    await reader.load();
+    return reader;
+  }
+
+  async close() {
+    if (this.closeFn) {
+      await this.closeFn();
+    }
+  }
+
+  /**
+   * Read the end of central directory record
+   * @returns {Promise<{ count: number, offset: number, size: number }>}
+   */
+  async readEndOfCentralDirectory() {
+    const tailSize = Math.min(this.size, EOCD_SIZE + MAX_COMMENT_SIZE);
+    const tailStart = this.size - tailSize;
+    const tail = await this.readAt(tailStart, tailSize);
+    let pos = -1;
+    for (let i = tail.length - EOCD_SIZE; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+        pos = i;
+        break;
+      }
+    }
+    if (pos === -1) {
+      throw new InvalidZipError('End of central directory record not found');
+    }
+    let count = tail.readUInt16LE(pos + 10);
+    let size = tail.readUInt32LE(pos + 12);
+    let offset = tail.readUInt32LE(pos + 16);
+    if (count === 0xffff || size === 0xffffffff || offset === 0xffffffff) {
+      const locatorPos = tailStart + pos - 20;
+      const locator = locatorPos >= 0 ? await this.readAt(locatorPos, 20) : Buffer.alloc(0);
+      if (locator.length === 20 && locator.readUInt32LE(0) === ZIP64_EOCD_LOCATOR_SIGNATURE) {
+        const eocd64 = await this.readAt(Number(locator.readBigUInt64LE(8)), 56);
+        if (eocd64.length < 56 || eocd64.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+          throw new InvalidZipError('Invalid zip64 end of central directory record');
+        }
+        count = Number(eocd64.readBigUInt64LE(32));
+        size = Number(eocd64.readBigUInt64LE(40));
+        offset = Number(eocd64.readBigUInt64LE(48));
+      }
+    }
+    if (offset + size > this.size) {
+      throw new InvalidZipError(
+        `Central directory (offset ${offset}, size ${size}) exceeds the archive size ${this.size}`,
+      );
+    }
+    return { count, offset, size };
+  }
+
+  /**
+   * Read the central directory
+   * @returns {Promise<ZipEntry[]>}
+   */
+  async load() {
+    const { count, offset, size } = await this.readEndOfCentralDirectory();
+    const cd = await this.readAt(offset, size);
+    const entries = [];
+    let pos = 0;
+    for (let i = 0; i < count; i++) {
+      if (pos + 46 > cd.length || cd.readUInt32LE(pos) !== CENTRAL_DIRECTORY_SIGNATURE) {
+        throw new InvalidZipError(`Invalid central directory entry #${i}`);
+      }
+      const nameLength = cd.readUInt16LE(pos + 28);
+      const extraLength = cd.readUInt16LE(pos + 30);
+      const commentLength = cd.readUInt16LE(pos + 32);
+      const entry = {
+        name: cd.toString('utf8', pos + 46, pos + 46 + nameLength),
+        method: cd.readUInt16LE(pos + 10),
+        flags: cd.readUInt16LE(pos + 8),
+        crc32: cd.readUInt32LE(pos + 16),
+        compressedSize: cd.readUInt32LE(pos + 20),
+        size: cd.readUInt32LE(pos + 24),
+        localHeaderOffset: cd.readUInt32LE(pos + 42),
+      };
+      readZip64Extra(
+        entry,
+        cd.subarray(pos + 46 + nameLength, pos + 46 + nameLength + extraLength),
+      );
+      entries.push(entry);
+      pos += 46 + nameLength + extraLength + commentLength;
+    }
+    this.entries = entries;
+    return entries;
+  }
+
+  /**
+   * Get an entry by name
+   * @param {string} name
+   * @returns {ZipEntry | undefined}
+   */
+  getEntry(name) {
+    return this.entries.find((entry) => entry.name === name);
+  }
+
+  /**
+   * Find an entry and the offset of its compressed data
+   * @param {string | ZipEntry} nameOrEntry
+   * @returns {Promise<{ entry: ZipEntry, dataOffset: number }>}
+   */
+  async locate(nameOrEntry) {
+    const entry = typeof nameOrEntry === 'string' ? this.getEntry(nameOrEntry) : nameOrEntry;
+    if (!entry) {
+      throw new InvalidZipError(`Entry not found: ${nameOrEntry}`);
+    }
+    if (entry.flags & 0x1) {
+      throw new InvalidZipError(`Encrypted entry is not supported: ${entry.name}`);
+    }
+    if (entry.method !== 0 && entry.method !== 8) {
+      throw new InvalidZipError(`Unsupported compression method ${entry.method} of ${entry.name}`);
+    }
+    const header = await this.readAt(entry.localHeaderOffset, 30);
+    if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_HEADER_SIGNATURE) {
+      throw new InvalidZipError(`Invalid local file header of ${entry.name}`);
+    }
+    const dataOffset =
+      entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    return { entry, dataOffset };
+  }
+
+  /**
+   * Read the uncompressed content of an entry into memory. Use `extract` for large entries
+   * @param {string | ZipEntry} nameOrEntry
+   * @returns {Promise<Buffer>}
+   */
+  async read(nameOrEntry) {
+    const { entry, dataOffset } = await this.locate(nameOrEntry);
+    const data = await this.readAt(dataOffset, entry.compressedSize);
+    if (data.length !== entry.compressedSize) {
+      throw new InvalidZipError(`Truncated data of ${entry.name}`);
+    }
+    return entry.method === 8 ? await inflateRaw(data) : data;
+  }
+
+  /**
+   * Extract an entry to a file, streaming its content so that it is never held in memory as a
+   * whole. The size and CRC32 of the content are checked against the central directory
+   * @param {string | ZipEntry} nameOrEntry
+   * @param {string} destPath
+   */
+  async extract(nameOrEntry, destPath) {
+    const { entry, dataOffset } = await this.locate(nameOrEntry);
+    const { readAt } = this;
+    let size = 0;
+    let crc = 0;
+    await pipeline(
+      async function* () {
+        for (let pos = 0; pos < entry.compressedSize; pos += EXTRACT_CHUNK_SIZE) {
+          const length = Math.min(EXTRACT_CHUNK_SIZE, entry.compressedSize - pos);
+          const chunk = await readAt(dataOffset + pos, length);
+          if (chunk.length !== length) {
+            throw new InvalidZipError(`Truncated data of ${entry.name}`);
+          }
+          yield chunk;
+        }
+      },
+      ...(entry.method === 8 ? [zlib.createInflateRaw()] : []),
+      async function* (source) {
+        for await (const chunk of source) {
+          size += chunk.length;
+          crc = crc32(chunk, crc);
+          yield chunk;
+        }
+      },
+      fs.createWriteStream(destPath),
+    );
+    if (size !== entry.size || crc !== entry.crc32) {
+      throw new InvalidZipError(
+        `Corrupted data of ${entry.name}: got ${size} bytes with CRC32 ${crc}, expected ${entry.size} bytes with CRC32 ${entry.crc32}`,
+      );
+    }
+  }
+}
+
+/**
+ * Replace the sizes and offset of an entry with the values in its zip64 extra field
+ * @param {ZipEntry} entry
+ * @param {Buffer} extra
+ */
+function readZip64Extra(entry, extra) {
+  let pos = 0;
+  while (pos + 4 <= extra.length) {
+    const id = extra.readUInt16LE(pos);
+    const length = extra.readUInt16LE(pos + 2);
+    if (id === 0x0001) {
+      let p = pos + 4;
+      for (const field of ['size', 'compressedSize', 'localHeaderOffset']) {
+        if (entry[field] === 0xffffffff && p + 8 <= pos + 4 + length) {
+          entry[field] = Number(extra.readBigUInt64LE(p));
+          p += 8;
+        }
+      }
+      return;
+    }
+    pos += 4 + length;
+  }
+}
+
+/**
+ * Minimal zip writer, which writes deflated files and directories with the same modification
+ * time, so the same input always gives the same bytes. Does not support zip64, so archives are
+ * limited to `MAX_ZIP_ENTRIES` entries and `MAX_ZIP_SIZE` bytes.
+ */
+class ZipWriter {
+  /** @type {Buffer[]} */
+  centralDirectory = [];
+  offset = 0;
+
+  /**
+   * @param {import('fs').promises.FileHandle} fh
+   * @param {Date} mtime - Modification time of all entries, stored in UTC
+   */
+  constructor(fh, mtime) {
+    this.fh = fh;
+    this.dosTime = toDosDateTime(mtime);
+  }
+
+  /**
+   * Create a zip file, overwriting the existing one
+   * @param {string} filePath
+   * @param {Object} [options]
+   * @param {Date} [options.mtime] - Modification time of all entries. Defaults to 1980-01-01
+   * @returns {Promise<ZipWriter>}
+   */
+  static async create(filePath, { mtime = new Date(Date.UTC(1980, 0, 1)) } = {}) {
+    const fh = await fs.promises.open(filePath, 'w');
+    return new ZipWriter(fh, mtime);
+  }
+
+  async write(buffer, position = this.offset) {
+    await this.fh.write(buffer, 0, buffer.length, position);
+    if (position === this.offset) {
+      this.offset += buffer.length;
+    }
+  }
+
+  /**
+   * Build a local file header, or a central directory header if `localHeaderOffset` is given
+   */
+  header(name, { method, crc, compressedSize, size, mode, localHeaderOffset }) {
+    const central = localHeaderOffset !== undefined;
+    const nameBuffer = Buffer.from(name, 'utf8');
+    const buffer = Buffer.alloc((central ? 46 : 30) + nameBuffer.length);
+    let pos = 0;
+    const u16 = (v) => (pos = buffer.writeUInt16LE(v, pos));
+    const u32 = (v) => (pos = buffer.writeUInt32LE(v, pos));
+    u32(central ? CENTRAL_DIRECTORY_SIGNATURE : LOCAL_HEADER_SIGNATURE);
+    if (central) {
+      u16(VERSION_MADE_BY);
+    }
+    u16(VERSION_NEEDED);
+    u16(/^[\x00-\x7f]*$/.test(name) ? 0 : FLAG_UTF8);
+    u16(method);
+    u16(this.dosTime.time);
+    u16(this.dosTime.date);
+    u32(crc);
+    u32(compressedSize);
+    u32(size);
+    u16(nameBuffer.length);
+    u16(0); // extra field length
+    if (central) {
+      u16(0); // comment length
+      u16(0); // disk number
+      u16(0); // internal attributes
+      // Unix mode in the high 16 bits, MS-DOS directory attribute in the low bits
+      u32(((mode << 16) | (mode & 0o040000 ? 0x10 : 0)) >>> 0);
+      u32(localHeaderOffset);
+    }
+    nameBuffer.copy(buffer, pos);
+    return buffer;
+  }
+
+  /**
+   * Throw if the zip has grown beyond the size that can be written without zip64
+   * @param {string} name - Entry being written
+   */
+  checkSize(name) {
+    if (this.offset > MAX_ZIP_SIZE) {
+      throw new Error(
+        `Zip exceeds ${MAX_ZIP_SIZE} bytes at ${name}, which requires zip64 that is not supported`,
+      );
+    }
+  }
+
+  addEntry(name, fields) {
+    this.checkSize(name);
+    if (this.centralDirectory.length >= MAX_ZIP_ENTRIES) {
+      throw new Error(
+        `Zip exceeds ${MAX_ZIP_ENTRIES} entries at ${name}, which requires zip64 that is not supported`,
+      );
+    }
+    this.centralDirectory.push(this.header(name, fields));
+  }
+
+  /**
+   * Add a directory
+   * @param {string} name - Entry path, with or without the trailing `/`
+   * @param {number} [mode] - Permission bits
+   */
+  async addDirectory(name, mode = 0o755) {
+    const entryName = name.endsWith('/') ? name : `${name}/`;
+    const fields = {
+      method: 0,
+      crc: 0,
+      compressedSize: 0,
+      size: 0,
+      mode: 0o040000 | mode,
+    };
+    const localHeaderOffset = this.offset;
+    await this.write(this.header(entryName, fields));
+    this.addEntry(entryName, { ...fields, localHeaderOffset });
+  }
+
+  /**
+   * Add a file, deflating its content as a stream
+   * @param {string} name - Entry path
+   * @param {string} filePath - Local file to read
+   * @param {number} [mode] - Permission bits
+   */
+  async addFile(name, filePath, mode = 0o644) {
+    const localHeaderOffset = this.offset;
+    const fields = { method: 8, crc: 0, compressedSize: 0, size: 0, mode: 0o100000 | mode };
+    // Write the header first and fill in the CRC and sizes after the data is written
+    const placeholder = this.header(name, fields);
+    await this.write(placeholder);
+    await pipeline(
+      async function* () {
+        for await (const chunk of fs.createReadStream(filePath)) {
+          fields.crc = crc32(chunk, fields.crc);
+          fields.size += chunk.length;
+          yield chunk;
+        }
+      },
+      zlib.createDeflateRaw({ level: DEFLATE_LEVEL }),
+      async (source) => {
+        for await (const chunk of source) {
+          fields.compressedSize += chunk.length;
+          await this.write(chunk);
+        }
+      },
+    );
+    // the sizes must fit in the header, which is checked before it is rewritten
+    this.checkSize(name);
+    await this.write(this.header(name, fields), localHeaderOffset);
+    this.addEntry(name, { ...fields, localHeaderOffset });
+  }
+
+  /**
+   * Write the central directory and close the file
+   */
+  async close() {
+    try {
+      const cdOffset = this.offset;
+      for (const header of this.centralDirectory) {
+        await this.write(header);
+      }
+      this.checkSize('the central directory');
+      const eocd = Buffer.alloc(EOCD_SIZE);
+      eocd.writeUInt32LE(EOCD_SIGNATURE, 0);
+      eocd.writeUInt16LE(this.centralDirectory.length, 8);
+      eocd.writeUInt16LE(this.centralDirectory.length, 10);
+      eocd.writeUInt32LE(this.offset - cdOffset, 12);
+      eocd.writeUInt32LE(cdOffset, 16);
+      await this.write(eocd);
+    } finally {
+      await this.fh.close();
+    }
+  }
+}
+
+module.exports = {
+  InvalidZipError,
+  ZipReader,
+  ZipWriter,
+  MAX_ZIP_ENTRIES,
+  MAX_ZIP_SIZE,
+  crc32,
+};